@@ -12,6 +12,8 @@
  *   <script src="n8n-widget-bot.js"></script>
  *   <script>
  *     FloatingChatWidget.init({ ...options });
+ *     // or, for several independent widgets on one page:
+ *     const supportBot = FloatingChatWidget.create({ ...options });
  *   </script>
  *
  * @author Dante Labs
@@ -27,10 +29,18 @@
     apiUrl: '{{your_n8n_api}}',
     position: 'bottom-right', // 'bottom-left' or 'bottom-right'
     themeColor: '#4C4CBBFF',
-    bubbleIcon: '<i class="fas fa-comments"></i>', // FontAwesome chat icon
+    theme: 'light', // 'light', 'dark', 'auto' (follows prefers-color-scheme) or a theme object ({ preset, ...variables })
+    isolation: 'none', // 'none' (styles in document.head) or 'shadow' (mount inside a shadow root, isolated from page CSS)
+    displayMode: 'floating', // 'floating' (bubble + panel), 'inline' (rendered inside container) or 'fullscreen'
+    container: undefined, // Selector or element to render into (inline mode)
+    fullscreenBreakpoint: 480, // Floating mode opens full screen at or below this viewport width (px, 0 disables)
+    bubbleIcon: '<i class="fas fa-comments"></i>', // FontAwesome chat icon (an inline SVG is used instead in shadow isolation mode)
     title: 'n8n Chatbot',
-    placeholder: 'Type your message...',
-    welcomeMessage: 'Hello! Type your message...',
+    placeholder: undefined, // Defaults to the locale's "Type your message..."
+    welcomeMessage: undefined, // Defaults to the locale's greeting ('' disables)
+    locale: 'auto', // UI language: 'en', 'ko', any locale added with addLocale(), or 'auto' (navigator.language)
+    messages: undefined, // Override built-in UI strings, e.g. { connectionError: '...' }
+    direction: 'auto', // 'ltr', 'rtl' or 'auto' (from the locale)
     zIndex: 9999,
     width: 350,
     height: 500,
@@ -39,18 +49,226 @@
     sessionId: undefined, // Optional, auto-generated if not specified
     animationDuration: 300, // Animation duration (ms)
     typingSpeed: 18, // Typing animation speed (ms)
+    streaming: false, // Read replies as a token stream (n8n NDJSON / SSE) instead of waiting for full JSON
     maxMessageLength: 1000, // Maximum message length
     resizable: true, // Whether widget is resizable
     minWidth: 300, // Minimum width
     maxWidth: 600, // Maximum width
     minHeight: 400, // Minimum height
     maxHeight: 800, // Maximum height
+    persistSize: true, // Remember the size the user resized to: true (localStorage), 'sessionStorage', a custom adapter or false
     enableFileUpload: true, // Enable file upload feature
     maxFileSize: 10 * 1024 * 1024, // Maximum file size in bytes (10MB)
     allowedFileTypes: ['image/*', 'application/pdf', '.doc', '.docx', '.txt', '.csv', '.xlsx'], // Allowed file types
+    uploadMode: 'base64', // 'base64' (data URLs in JSON), 'multipart' (binary form parts) or 'presigned' (upload first, send references)
+    presignEndpoint: undefined, // Endpoint returning { uploadUrl, fileUrl } for each file (presigned mode)
+    imageMaxDimension: 0, // Downscale JPEG/PNG/WebP images so the longest side fits (px, 0 disables)
+    imageQuality: 0.85, // Re-encoding quality for JPEG/WebP (0-1)
+    convertTo: undefined, // Re-encode images as 'image/jpeg', 'image/png' or 'image/webp'
+    enableVoiceInput: false, // Show a microphone button
+    voiceMode: 'auto', // 'speech' (transcribe into the input), 'recording' (send an audio file) or 'auto' (speech if supported)
+    speechLang: undefined, // Speech recognition language (defaults to the page language)
+    maxRecordingDuration: 120000, // Stop recording/listening automatically after this many ms (0 disables)
+    textToSpeech: false, // Read bot replies aloud and add a play/stop control to each bot message
+    ttsAutoPlay: true, // Speak new replies automatically (false: only on demand)
+    ttsVoice: undefined, // Voice name or voiceURI (defaults to the browser's voice for ttsLang)
+    ttsLang: undefined, // Speech language (defaults to speechLang or the page language)
+    ttsRate: 1, // Speaking rate (0.1-10)
+    persistHistory: false, // false | 'localStorage' | 'sessionStorage' | custom adapter ({ getItem, setItem, removeItem })
+    storageKey: undefined, // Optional, derived from apiUrl if not specified
+    maxHistory: 50, // Maximum number of messages kept in history
+    requestTimeout: 30000, // Time to wait for the webhook to respond (ms, 0 disables)
+    maxRetries: 2, // Retries for network errors, timeouts, 5xx and 429 responses
+    retryDelay: 1000, // Base delay of the exponential backoff (ms)
+    maxRetryDelay: 10000, // Maximum delay between retries (ms); a longer Retry-After is not retried automatically
+    offlineQueue: true, // Queue messages while offline and send them when the connection is back
+    sendCancelAction: false, // POST { sessionId, action: 'cancel' } to apiUrl when the user stops a pending response
+    messageActions: ['copy'], // Hover/long-press actions on messages: 'copy', 'regenerate', 'edit', 'feedback' ([] disables)
+    copyFormat: 'text', // 'text' (plain text) or 'markdown' (message source) for the copy action
+    feedbackUrl: undefined, // Endpoint for thumbs up/down ratings (defaults to apiUrl with action: 'feedback')
+    feedbackComment: true, // Offer an optional comment box after a rating
+    maxMessagesPerMinute: 10, // Messages a user may send per minute before a cooldown (0 disables)
+    challenge: null, // Optional async function({ sessionId }) => proof (CAPTCHA token, proof of work) run before the first message of a session
+    handoffTransport: 'polling', // 'polling' or 'websocket' channel for live agent messages
+    handoffUrl: undefined, // Endpoint polled (GET ?sessionId=) or WebSocket URL used during a human handoff
+    handoffPollInterval: 3000, // Delay between handoff polls (ms)
+    handoffTokenInUrl: false, // Send the auth token as the handoff WebSocket's `token` query parameter instead of in its first message
+    user: undefined, // Initial identity ({ userId, name, email, metadata }), same as calling identify()
+    auth: undefined, // { getToken, scheme, sign, signingKey, signatureHeader, timestampHeader } - see AuthManager.DEFAULTS
+    beforeSend: null, // Optional async function(webhookData, requestInit) (or array of them) run before each request
+    afterReceive: null, // Optional async function(response, data) => data (or array of them) run on each JSON response (streamed frames excluded)
+    markdownRenderer: null, // Optional function(text) => HTML replacing the built-in markdown renderer
+    sanitizeHtml: null, // Optional function(html) => HTML applied to rendered messages (e.g. DOMPurify.sanitize)
+    allowedLinkProtocols: ['http:', 'https:', 'mailto:', 'tel:'], // Protocols allowed in message links
   };
 
 
+  /**
+   * Built-in UI strings and locale resolution
+   */
+  const I18nManager = {
+    DEFAULT_LOCALE: 'en',
+
+    // Languages written right to left
+    RTL_LANGUAGES: ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'],
+
+    PACKS: {
+      en: {
+        placeholder: 'Type your message...',
+        welcomeMessage: 'Hello! Type your message...',
+        openChat: 'Chat',
+        close: 'Close',
+        newConversation: 'New conversation',
+        send: 'Send',
+        attachFiles: 'Attach files',
+        removeFile: 'Remove file',
+        dropFiles: 'Drop files to attach',
+        voiceInput: 'Voice input',
+        stopVoiceInput: 'Stop',
+        cancel: 'Cancel',
+        readAloud: 'Read aloud',
+        stopReading: 'Stop reading',
+        resize: 'Resize chat window (arrow keys)',
+        noReply: 'Sorry, I did not understand.',
+        connectionError: 'AI agent connection error occurred.',
+        messageTooLong: 'Message is too long.',
+        fileTooLarge: 'File size exceeds maximum limit of {size}',
+        fileTypeNotAllowed: 'File type not allowed',
+        fileProcessingFailed: 'Failed to process files',
+        voiceInputFailed: 'Voice input failed',
+        microphoneUnavailable: 'Microphone is not available',
+        voiceMessageNotSent: 'The voice message could not be sent while a reply is pending',
+        agentJoined: '{name} joined the conversation',
+        agentConnected: 'You are now connected to an agent',
+        agentLeft: 'The agent has left the conversation',
+        waitingForConnection: 'Waiting for connection…',
+        sendFailed: 'Failed to send — tap to retry',
+        stopResponse: 'Stop response',
+        responseStopped: 'Response stopped',
+        rateLimited: 'You are sending messages too quickly. Try again in {seconds}s.',
+        challengeFailed: 'Verification failed. Please try again.',
+        copy: 'Copy',
+        copied: 'Copied',
+        regenerate: 'Regenerate response',
+        edit: 'Edit',
+        save: 'Save',
+        goodResponse: 'Good response',
+        badResponse: 'Bad response',
+        feedbackCommentPlaceholder: 'Tell us more (optional)',
+        feedbackThanks: 'Thanks for your feedback!',
+        fileSizeUnits: ['Bytes', 'KB', 'MB', 'GB']
+      },
+      ko: {
+        placeholder: '메시지를 입력하세요...',
+        welcomeMessage: '안녕하세요! 메시지를 입력하세요...',
+        openChat: '채팅',
+        close: '닫기',
+        newConversation: '새 대화',
+        send: '보내기',
+        attachFiles: '파일 첨부',
+        removeFile: '파일 삭제',
+        dropFiles: '파일을 놓으면 첨부됩니다',
+        voiceInput: '음성 입력',
+        stopVoiceInput: '중지',
+        cancel: '취소',
+        readAloud: '소리 내어 읽기',
+        stopReading: '읽기 중지',
+        resize: '채팅 창 크기 조절 (방향키)',
+        noReply: '죄송합니다. 이해하지 못했어요.',
+        connectionError: 'AI 에이전트 연결 중 오류가 발생했습니다.',
+        messageTooLong: '메시지가 너무 깁니다.',
+        fileTooLarge: '파일 크기가 최대 {size}를 초과합니다',
+        fileTypeNotAllowed: '허용되지 않는 파일 형식입니다',
+        fileProcessingFailed: '파일을 처리하지 못했습니다',
+        voiceInputFailed: '음성 입력에 실패했습니다',
+        microphoneUnavailable: '마이크를 사용할 수 없습니다',
+        voiceMessageNotSent: '답변을 기다리는 중이라 음성 메시지를 보내지 못했습니다',
+        agentJoined: '{name} 님이 대화에 참여했습니다',
+        agentConnected: '상담원과 연결되었습니다',
+        agentLeft: '상담원이 대화를 떠났습니다',
+        waitingForConnection: '연결을 기다리는 중…',
+        sendFailed: '전송 실패 — 눌러서 다시 시도',
+        stopResponse: '응답 중지',
+        responseStopped: '응답을 중지했습니다',
+        rateLimited: '메시지를 너무 빠르게 보내고 있습니다. {seconds}초 후에 다시 시도하세요.',
+        challengeFailed: '확인에 실패했습니다. 다시 시도해 주세요.',
+        copy: '복사',
+        copied: '복사됨',
+        regenerate: '답변 다시 생성',
+        edit: '수정',
+        save: '저장',
+        goodResponse: '좋은 답변',
+        badResponse: '아쉬운 답변',
+        feedbackCommentPlaceholder: '의견을 남겨 주세요 (선택)',
+        feedbackThanks: '의견을 보내 주셔서 감사합니다!',
+        fileSizeUnits: ['바이트', 'KB', 'MB', 'GB']
+      }
+    },
+
+    /**
+     * Resolve the locale option ('auto' uses the browser language)
+     * @param {string} [locale] - Locale option
+     * @returns {string} Locale tag, e.g. 'ko-KR'
+     */
+    resolveLocale(locale) {
+      if (locale && locale !== 'auto') return locale;
+      const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+      return languages.find(Boolean) || this.DEFAULT_LOCALE;
+    },
+
+    /**
+     * Get the language subtag of a locale
+     * @param {string} locale - Locale tag
+     * @returns {string} Lowercase language, e.g. 'ko' for 'ko-KR'
+     */
+    getLanguage(locale) {
+      return String(locale).toLowerCase().split(/[-_]/)[0];
+    },
+
+    /**
+     * Get the pack for a locale, falling back from 'pt-BR' to 'pt'
+     * @param {string} locale - Locale tag
+     * @returns {Object} Messages (empty if no pack matches)
+     */
+    getPack(locale) {
+      return this.PACKS[locale] || this.PACKS[this.getLanguage(locale)] || {};
+    },
+
+    /**
+     * Add or extend a locale pack
+     * @param {string} locale - Locale tag
+     * @param {Object} messages - Messages by key
+     */
+    addLocale(locale, messages) {
+      this.PACKS[locale] = { ...this.PACKS[locale], ...messages };
+    },
+
+    /**
+     * Create a translate function; missing keys fall back to English, then to the key itself
+     * @param {string} locale - Locale tag
+     * @param {Object} [overrides] - Messages overriding the pack
+     * @returns {function(string, Object=):*} Translate function replacing {name} placeholders
+     */
+    createTranslator(locale, overrides = {}) {
+      const messages = { ...this.PACKS[this.DEFAULT_LOCALE], ...this.getPack(locale), ...overrides };
+      return (key, params = {}) => {
+        const message = messages[key];
+        if (message === undefined) return key;
+        if (typeof message !== 'string') return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+      };
+    },
+
+    /**
+     * Get the text direction of a locale
+     * @param {string} locale - Locale tag
+     * @returns {'ltr'|'rtl'} Direction
+     */
+    getDirection(locale) {
+      return this.RTL_LANGUAGES.includes(this.getLanguage(locale)) ? 'rtl' : 'ltr';
+    }
+  };
+
   /**
    * Utility functions
    */
@@ -63,6 +281,14 @@
       return 'fcw-' + Math.random().toString(36).slice(2) + Date.now();
     },
 
+    /**
+     * Generate a message ID
+     * @returns {string} Unique message ID
+     */
+    generateMessageId() {
+      return 'msg-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    },
+
     /**
      * Check if a DOM element exists
      * @param {string} id - Element ID
@@ -86,26 +312,34 @@
       return element;
     },
 
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
     /**
      * Convert markdown to HTML
      * @param {string} text - Markdown text
+     * @param {Object} options - Options ({ renderer, sanitizer, linkProtocols })
      * @returns {string} HTML string
      */
-    formatMarkdown(text) {
+    formatMarkdown(text, options = {}) {
       if (!text) return '';
       
-      let html = text
-        .replace(/\n/g, '<br>')
-        .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
-        .replace(/\*(.+?)\*/g, '<i>$1</i>')
-        .replace(/\- (.+)/g, '<li>$1</li>');
-      
-      // Wrap li elements with ul
-      if (/<li>/.test(html)) {
-        html = '<ul>' + html + '</ul>';
-      }
+      const html = typeof options.renderer === 'function'
+        ? options.renderer(text)
+        : MarkdownRenderer.render(text, options);
       
-      return html;
+      return typeof options.sanitizer === 'function' ? options.sanitizer(html) : html;
     },
 
     /**
@@ -132,15 +366,131 @@
       });
     },
 
+    /**
+     * Describe a file in the n8n webhook format (without its content)
+     * @param {File} file - File to describe
+     * @returns {Object} File metadata
+     */
+    describeFile(file) {
+      const mimeType = file.type || 'application/octet-stream';
+      return {
+        fileName: file.name,
+        fileSize: `${file.size} bytes`,
+        fileExtension: file.name.split('.').pop() || '',
+        fileType: mimeType.split('/')[0] || 'application',
+        mimeType
+      };
+    },
+
+    /**
+     * Check whether the user asked the OS to minimize motion
+     * @returns {boolean} True if prefers-reduced-motion is set
+     */
+    prefersReducedMotion() {
+      return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+
+    /**
+     * Copy text to the clipboard (falls back to execCommand outside secure contexts)
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} True if the text was copied
+     */
+    async copyToClipboard(text) {
+      if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+        try {
+          await navigator.clipboard.writeText(text);
+          return true;
+        } catch (error) {
+          // Permission denied or no focus; try the legacy way
+        }
+      }
+
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      try {
+        return typeof document.execCommand === 'function' && document.execCommand('copy');
+      } catch (error) {
+        return false;
+      } finally {
+        document.body.removeChild(textarea);
+      }
+    },
+
+    /**
+     * Add or remove a media query change listener (Safari < 14 only has addListener)
+     * @param {MediaQueryList} query - Media query list
+     * @param {function():void} listener - Change listener
+     * @param {boolean} add - True to add, false to remove
+     */
+    onMediaChange(query, listener, add) {
+      if (typeof query.addEventListener === 'function') {
+        query[add ? 'addEventListener' : 'removeEventListener']('change', listener);
+      } else if (typeof query.addListener === 'function') {
+        query[add ? 'addListener' : 'removeListener'](listener);
+      }
+    },
+
+    /**
+     * Check whether a file (or file reference) is an image
+     * @param {{mimeType?: string, type?: string, name?: string, url?: string}} file - File or file reference
+     * @returns {boolean} True for images
+     */
+    isImageFile(file) {
+      const mimeType = file.mimeType || file.type || '';
+      if (mimeType) return mimeType.startsWith('image/');
+      return /\.(png|jpe?g|gif|webp|svg|bmp|avif)$/i.test((file.name || file.url || '').split(/[?#]/)[0]);
+    },
+
+    /**
+     * Check whether a file (or file reference) is audio
+     * @param {{mimeType?: string, type?: string}} file - File or file reference
+     * @returns {boolean} True for audio
+     */
+    isAudioFile(file) {
+      return (file.mimeType || file.type || '').startsWith('audio/');
+    },
+
+    /**
+     * Collect files from a drag or clipboard DataTransfer
+     * Clipboard images (e.g. screenshots) get a unique name since browsers call them all "image.png".
+     * @param {DataTransfer} dataTransfer - Drop or paste data
+     * @returns {Array<File>} Files
+     */
+    getTransferFiles(dataTransfer) {
+      if (!dataTransfer) return [];
+
+      let files = Array.from(dataTransfer.files || []);
+      if (files.length === 0 && dataTransfer.items) {
+        files = Array.from(dataTransfer.items)
+          .filter(item => item.kind === 'file')
+          .map(item => item.getAsFile())
+          .filter(Boolean);
+      }
+
+      return files.map((file, index) => {
+        if (file.name && file.name !== 'image.png') return file;
+        const extension = (file.type.split('/')[1] || 'bin').split('+')[0];
+        return new File([file], `pasted-${Date.now()}-${index}.${extension}`, {
+          type: file.type,
+          lastModified: file.lastModified
+        });
+      });
+    },
+
     /**
      * Format file size
      * @param {number} bytes - File size in bytes
+     * @param {Array<string>} [sizes] - Unit names for bytes, KB, MB and GB
      * @returns {string} Formatted file size
      */
-    formatFileSize(bytes) {
-      if (bytes === 0) return '0 Bytes';
+    formatFileSize(bytes, sizes = I18nManager.PACKS.en.fileSizeUnits) {
+      if (bytes === 0) return '0 ' + sizes[0];
       const k = 1024;
-      const sizes = ['Bytes', 'KB', 'MB', 'GB'];
       const i = Math.floor(Math.log(bytes) / Math.log(k));
       return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     },
@@ -149,14 +499,15 @@
      * Validate file
      * @param {File} file - File to validate
      * @param {Object} config - Configuration object
+     * @param {function(string, Object=):*} [t] - Translate function for the error message
      * @returns {Object} Validation result
      */
-    validateFile(file, config) {
+    validateFile(file, config, t = I18nManager.createTranslator(I18nManager.DEFAULT_LOCALE)) {
       // Check file size
       if (file.size > config.maxFileSize) {
         return {
           valid: false,
-          error: `File size exceeds maximum limit of ${this.formatFileSize(config.maxFileSize)}`
+          error: t('fileTooLarge', { size: this.formatFileSize(config.maxFileSize, t('fileSizeUnits')) })
         };
       }
 
@@ -189,7 +540,7 @@
       if (!isAllowed) {
         return {
           valid: false,
-          error: 'File type not allowed'
+          error: t('fileTypeNotAllowed')
         };
       }
 
@@ -198,1108 +549,6755 @@
   };
 
   /**
-   * Style management class
+   * Built-in markdown renderer
+   * Escapes HTML first, so the output only contains tags generated here.
    */
-  const StyleManager = {
+  const MarkdownRenderer = {
+    LIST_ITEM: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+    TABLE_SEPARATOR: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+    DEFAULT_LINK_PROTOCOLS: ['http:', 'https:', 'mailto:', 'tel:'],
+
     /**
-     * Create and inject widget styles
-     * @param {Object} config - Configuration object
+     * Render markdown to HTML
+     * @param {string} text - Markdown text
+     * @param {Object} options - Options ({ linkProtocols })
+     * @returns {string} HTML string
      */
-    createStyles(config) {
-      if (Utils.elementExists('floating-chat-widget-style')) return;
-      
-      const style = Utils.createElement('style', '', this.generateStyleString(config));
-      style.id = 'floating-chat-widget-style';
-      document.head.appendChild(style);
+    render(text, options = {}) {
+      // NUL is reserved for inline placeholders
+      const lines = String(text).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+      return this.renderBlocks(lines, options);
     },
 
     /**
-     * Generate CSS style string
-     * @param {Object} config - Configuration object
-     * @returns {string} CSS string
+     * Render block-level elements
+     * @param {Array<string>} lines - Source lines
+     * @param {Object} options - Options
+     * @returns {string} HTML string
      */
-    generateStyleString(config) {
-      const position = config.position === 'bottom-left' ? 'left: 24px;' : 'right: 24px;';
-      const themeColor = config.themeColor;
-      
-      return `
-        .fcw-bubble {
-          position: fixed;
-          ${position}
-          bottom: 24px;
-          z-index: ${config.zIndex};
-          background: ${themeColor};
-          color: #fff;
-          width: 56px;
-          height: 56px;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 2rem;
-          box-shadow: 0 2px 12px rgba(0,0,0,0.15);
-          cursor: pointer;
-          transition: box-shadow 0.2s, transform 0.2s, background 0.2s;
-        }
-        .fcw-bubble:hover {
-          box-shadow: 0 4px 24px rgba(0,0,0,0.25);
-          transform: scale(1.05);
-          background: ${this.lightenColor(themeColor, 20)};
-        }
-        .fcw-emoji-bubble,
-        .fcw-bubble i {
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 1.15rem;
-          width: 24px;
-          height: 24px;
-          line-height: 1;
-          margin: 0;
-          padding: 0;
-        }
-        .fcw-widget {
-          position: fixed;
-          ${position}
-          bottom: 90px;
-          z-index: ${config.zIndex};
-          width: ${config.width}px;
-          max-width: 95vw;
-          min-width: ${config.minWidth}px;
-          height: ${config.height}px;
-          max-height: 80vh;
-          min-height: ${config.minHeight}px;
-          background: #fff0f6;
-          border-radius: 16px;
-          box-shadow: 0 8px 32px rgba(255,105,180,0.10);
-          display: flex;
-          flex-direction: column;
-          overflow: hidden;
-          opacity: 0;
-          pointer-events: none;
-          transform: translateY(30px) scale(0.98);
-          transition: opacity ${config.animationDuration}ms, transform ${config.animationDuration}ms;
-          resize: none; /* Disable browser default resize */
-        }
-        .fcw-widget.open {
-          opacity: 1;
-          pointer-events: auto;
-          transform: translateY(0) scale(1);
-        }
-        .fcw-header {
-          background: ${themeColor};
-          color: #fff;
-          padding: 16px;
-          font-size: 1.1rem;
-          font-family: ${config.fontFamily};
-          font-weight: bold;
-          border-top-left-radius: 16px;
-          border-top-right-radius: 16px;
-          box-shadow: 0 2px 8px rgba(255,105,180,0.08);
-        }
-        .fcw-messages {
-          flex: 1;
-          padding: 16px;
-          overflow-y: auto;
-          background: #fff0f6;
-          font-family: ${config.fontFamily};
+    renderBlocks(lines, options) {
+      const html = [];
+      let i = 0;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+          i++;
+          continue;
         }
-        .fcw-message {
-          margin-bottom: 12px;
-          display: flex;
+
+        // Fenced code block
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+        if (fence) {
+          const code = [];
+          i++;
+          while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+            code.push(lines[i]);
+            i++;
+          }
+          i++; // Closing fence
+          const langClass = fence[2] ? ` class="language-${Utils.escapeHtml(fence[2])}"` : '';
+          html.push(`<pre><code${langClass}>${Utils.escapeHtml(code.join('\n'))}</code></pre>`);
+          continue;
         }
-        .fcw-message.user {
-          justify-content: flex-end;
+
+        // Heading
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+          const level = heading[1].length;
+          html.push(`<h${level}>${this.renderInline(heading[2], options)}</h${level}>`);
+          i++;
+          continue;
         }
-        .fcw-message.bot {
-          justify-content: flex-start;
+
+        // Horizontal rule
+        if (this.isRule(line)) {
+          html.push('<hr>');
+          i++;
+          continue;
         }
-        .fcw-bubble-text {
-          background: #ffe0ef;
-          color: #d72660;
-          border-radius: 16px;
-          padding: 10px 16px;
-          max-width: 80%;
-          font-size: 1rem;
-          word-break: break-word;
-          box-shadow: 0 1px 4px rgba(255,105,180,0.08);
+
+        // Blockquote
+        if (/^\s{0,3}>/.test(line)) {
+          const quoted = [];
+          while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+            quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+            i++;
+          }
+          html.push(`<blockquote>${this.renderBlocks(quoted, options)}</blockquote>`);
+          continue;
         }
-        .fcw-message.user .fcw-bubble-text {
-          background: ${themeColor};
-          color: #fff;
-          box-shadow: 0 2px 8px rgba(255,105,180,0.13);
+
+        // Table
+        if (this.isTableStart(lines, i)) {
+          i = this.renderTable(lines, i, html, options);
+          continue;
         }
-        .fcw-input-row {
-          display: flex;
-          border-top: 1px solid #ffd1e6;
-          background: #fff0f6;
+
+        // List
+        if (this.LIST_ITEM.test(line)) {
+          i = this.renderList(lines, i, html, options);
+          continue;
         }
-        .fcw-input {
-          flex: 1;
-          border: none;
-          padding: 12px;
-          font-size: 1rem;
-          font-family: ${config.fontFamily};
-          outline: none;
-          background: transparent;
+
+        // Paragraph: consecutive lines joined with line breaks
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+          paragraph.push(lines[i].trim());
+          i++;
         }
-        .fcw-input:focus {
-          background: #ffe0ef;
+        html.push(`<p>${paragraph.map(text => this.renderInline(text, options)).join('<br>')}</p>`);
+      }
+
+      return html.join('');
+    },
+
+    /**
+     * Check whether a line starts a non-paragraph block
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line index
+     * @returns {boolean}
+     */
+    startsBlock(lines, index) {
+      const line = lines[index];
+      return /^\s*(`{3,}|~{3,})/.test(line) ||
+        /^\s{0,3}#{1,6}\s/.test(line) ||
+        /^\s{0,3}>/.test(line) ||
+        this.isRule(line) ||
+        this.isTableStart(lines, index) ||
+        this.LIST_ITEM.test(line);
+    },
+
+    /**
+     * Check whether a line is a horizontal rule
+     * @param {string} line - Source line
+     * @returns {boolean}
+     */
+    isRule(line) {
+      return /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    },
+
+    /**
+     * Get the indentation width of a line
+     * @param {string} line - Source line
+     * @returns {number} Indentation (tabs count as 4 spaces)
+     */
+    indentOf(line) {
+      const match = line.match(/^[ \t]*/)[0];
+      return match.replace(/\t/g, '    ').length;
+    },
+
+    /**
+     * Render an ordered or unordered list, including nested lists
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first item
+     * @param {Array<string>} html - Output buffer
+     * @param {Object} options - Options
+     * @returns {number} Index after the list
+     */
+    renderList(lines, start, html, options) {
+      const baseIndent = this.indentOf(lines[start]);
+      const first = lines[start].match(this.LIST_ITEM);
+      const ordered = /\d/.test(first[2]);
+      const isSameKind = (match) => /\d/.test(match[2]) === ordered;
+      const items = [];
+      let i = start;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+          // A blank line only continues the list if more indented content or items follow
+          let next = i + 1;
+          while (next < lines.length && !lines[next].trim()) next++;
+          const nextItem = next < lines.length && lines[next].match(this.LIST_ITEM);
+          const nextIndent = next < lines.length ? this.indentOf(lines[next]) : -1;
+          if (nextIndent > baseIndent + 1 || (nextItem && nextIndent >= baseIndent && isSameKind(nextItem))) {
+            i = next;
+            continue;
+          }
+          break;
         }
-        .fcw-file-btn {
-          background: none;
-          border: none;
-          color: ${themeColor};
-          font-size: 1.3rem;
-          padding: 0 12px;
-          cursor: pointer;
-          transition: color 0.2s, background 0.2s;
-          border-radius: 50%;
-          position: relative;
+
+        const indent = this.indentOf(line);
+        const item = line.match(this.LIST_ITEM);
+
+        if (indent < baseIndent) break;
+
+        if (item && indent <= baseIndent + 1) {
+          // Switching between ordered and unordered items starts a new list
+          if (!isSameKind(item)) break;
+          items.push({ text: item[3], children: [] });
+        } else if (indent > baseIndent + 1 && items.length) {
+          // Nested list or continuation of the current item
+          items[items.length - 1].children.push(line);
+        } else {
+          break;
         }
-        .fcw-file-btn:hover:not(:disabled) {
-          background: #ffb3d6;
-          color: #fff;
+        i++;
+      }
+
+      const tag = ordered ? 'ol' : 'ul';
+      const startNumber = ordered ? parseInt(first[2], 10) : 1;
+      const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+      const itemsHtml = items.map(item => {
+        const children = item.children.length ? this.renderBlocks(this.dedent(item.children), options) : '';
+        return `<li>${this.renderInline(item.text, options)}${children}</li>`;
+      }).join('');
+
+      html.push(`<${tag}${startAttr}>${itemsHtml}</${tag}>`);
+      return i;
+    },
+
+    /**
+     * Remove common indentation from lines
+     * @param {Array<string>} lines - Source lines
+     * @returns {Array<string>} Dedented lines
+     */
+    dedent(lines) {
+      const indents = lines.filter(line => line.trim()).map(line => this.indentOf(line));
+      const min = indents.length ? Math.min(...indents) : 0;
+      return lines.map(line => line.replace(/\t/g, '    ').slice(min));
+    },
+
+    /**
+     * Check whether a table starts at a line (header row followed by a separator row)
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line index
+     * @returns {boolean}
+     */
+    isTableStart(lines, index) {
+      const next = lines[index + 1];
+      return lines[index].includes('|') && next !== undefined &&
+        next.includes('|') && next.includes('-') && this.TABLE_SEPARATOR.test(next);
+    },
+
+    /**
+     * Split a table row into cells
+     * @param {string} line - Table row
+     * @returns {Array<string>} Cell contents
+     */
+    splitRow(line) {
+      const cells = [];
+      let current = '';
+      let inCode = false;
+      const row = line.trim().replace(/^\|/, '');
+
+      for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+          current += '|';
+          i++;
+        } else if (row[i] === '`') {
+          inCode = !inCode;
+          current += row[i];
+        } else if (row[i] === '|' && !inCode) {
+          cells.push(current.trim());
+          current = '';
+        } else {
+          current += row[i];
         }
-        .fcw-file-btn:disabled {
-          color: #ffc1e3;
-          cursor: not-allowed;
+      }
+      if (current.trim()) cells.push(current.trim());
+      return cells;
+    },
+
+    /**
+     * Render a table
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the header row
+     * @param {Array<string>} html - Output buffer
+     * @param {Object} options - Options
+     * @returns {number} Index after the table
+     */
+    renderTable(lines, start, html, options) {
+      const header = this.splitRow(lines[start]);
+      const aligns = this.splitRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return '';
+      });
+
+      const renderCell = (tag, text, index) => {
+        const align = aligns[index] ? ` style="text-align:${aligns[index]}"` : '';
+        return `<${tag}${align}>${this.renderInline(text, options)}</${tag}>`;
+      };
+
+      let i = start + 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = this.splitRow(lines[i]);
+        rows.push(`<tr>${header.map((_, index) => renderCell('td', cells[index] || '', index)).join('')}</tr>`);
+        i++;
+      }
+
+      html.push(
+        '<div class="fcw-table-wrap"><table>' +
+        `<thead><tr>${header.map((text, index) => renderCell('th', text, index)).join('')}</tr></thead>` +
+        `<tbody>${rows.join('')}</tbody>` +
+        '</table></div>'
+      );
+      return i;
+    },
+
+    /**
+     * Render inline elements (code, links, emphasis)
+     * @param {string} text - Raw inline text
+     * @param {Object} options - Options
+     * @returns {string} HTML string
+     */
+    renderInline(text, options) {
+      const tokens = [];
+      const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+      // Code spans are taken out before escaping so their content stays literal
+      let html = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+        hold(`<code>${Utils.escapeHtml(code.trim())}</code>`));
+
+      html = Utils.escapeHtml(html);
+
+      // Links: [text](url "title")
+      html = html.replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, url, title) => {
+        const link = this.renderLink(url, label, title, options);
+        return link ? hold(link) : label;
+      });
+
+      // Bare URLs
+      html = html.replace(/\bhttps?:\/\/(?:(?!&quot;|&#39;|&lt;|&gt;)[^\s\u0000])+/g, (match) => {
+        const url = match.replace(/[.,:;!?)\]]+$/, '');
+        const link = this.renderLink(url, url, '', options);
+        return (link ? hold(link) : url) + match.slice(url.length);
+      });
+
+      html = html
+        .replace(/\*\*([^\s*](?:[\s\S]*?[^\s])?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^\s_](?:[\s\S]*?[^\s])?)__/g, '<strong>$1</strong>')
+        .replace(/\*([^\s*](?:[^*]*[^\s*])?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_([^\s_](?:[^_]*[^\s_])?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~([^\s~](?:[\s\S]*?[^\s~])?)~~/g, '<del>$1</del>');
+
+      return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    },
+
+    /**
+     * Render a link if its protocol is allowed
+     * @param {string} escapedUrl - HTML-escaped URL
+     * @param {string} label - HTML-escaped label
+     * @param {string} escapedTitle - HTML-escaped title
+     * @param {Object} options - Options ({ linkProtocols })
+     * @returns {string} Anchor HTML, or an empty string if the URL is not allowed
+     */
+    renderLink(escapedUrl, label, escapedTitle, options) {
+      if (!this.isSafeUrl(this.unescapeHtml(escapedUrl), options.linkProtocols || this.DEFAULT_LINK_PROTOCOLS)) {
+        return '';
+      }
+      const title = escapedTitle ? ` title="${escapedTitle}"` : '';
+      return `<a href="${escapedUrl}"${title} target="_blank" rel="noopener noreferrer">${label}</a>`;
+    },
+
+    /**
+     * Check a URL against the protocol allowlist (relative URLs are allowed)
+     * @param {string} url - Raw URL
+     * @param {Array<string>} protocols - Allowed protocols, e.g. ['https:']
+     * @returns {boolean}
+     */
+    isSafeUrl(url, protocols) {
+      // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+      const normalized = url.replace(/[\u0000-\u0020\u007f]/g, '').toLowerCase();
+      const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+      if (!scheme) {
+        // Relative URL, unless it smuggles a scheme past the colon check
+        return !normalized.includes(':') || /^[/?#.]/.test(normalized);
+      }
+      return protocols.map(protocol => protocol.toLowerCase()).includes(scheme[1] + ':');
+    },
+
+    /**
+     * Convert markdown to plain text (e.g. for speech)
+     * @param {string} text - Markdown text
+     * @returns {string} Plain text
+     */
+    toPlainText(text) {
+      const html = this.render(text)
+        // Code blocks are not meant to be read out
+        .replace(/<pre>[\s\S]*?<\/pre>/g, '\n')
+        .replace(/<br>|<\/(p|li|h[1-6]|tr|blockquote)>/g, '\n')
+        .replace(/<\/(td|th)>/g, ', ')
+        .replace(/<[^>]+>/g, '');
+      return this.unescapeHtml(html).replace(/\n{2,}/g, '\n').trim();
+    },
+
+    /**
+     * Reverse Utils.escapeHtml
+     * @param {string} text - Escaped text
+     * @returns {string} Raw text
+     */
+    unescapeHtml(text) {
+      return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+    }
+  };
+
+  /**
+   * Style management class
+   */
+  const StyleManager = {
+    /**
+     * Launcher icon used instead of the default FontAwesome icon inside a shadow root,
+     * where the page's icon font stylesheet does not apply
+     */
+    SHADOW_BUBBLE_ICON: '<svg width="26" height="26" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">' +
+      '<path d="M4 3h12a2 2 0 0 1 2 2v7a2 2 0 0 1-2 2H9l-4 4v-4H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2z"/>' +
+      '<path d="M20 8h1a1 1 0 0 1 1 1v8a1 1 0 0 1-1 1h-1v3l-3-3h-6a1 1 0 0 1-1-1v-1h6a3 3 0 0 0 3-3z"/></svg>',
+
+    /**
+     * Built-in themes; each key becomes a --fcw-<kebab-case-key> custom property
+     * (primary defaults to config.themeColor, the tinted colors of a scheme come from TINTS)
+     */
+    THEMES: {
+      light: {
+        colorScheme: 'light',
+        onPrimary: '#fff',
+        text: '#222',
+        mutedText: '#888',
+        headerBackground: 'var(--fcw-primary)',
+        headerText: 'var(--fcw-on-primary)',
+        userBubble: 'var(--fcw-primary)',
+        userText: 'var(--fcw-on-primary)',
+        itemBackground: 'rgba(255,255,255,0.5)',
+        cardBackground: '#fff',
+        danger: '#ff4444',
+        radius: '16px',
+        bubbleRadius: '16px',
+        shadow: '0 8px 32px rgba(0,0,0,0.10)',
+        bubbleShadow: '0 1px 4px rgba(0,0,0,0.08)'
+      },
+      dark: {
+        colorScheme: 'dark',
+        onPrimary: '#fff',
+        background: '#1c1c22',
+        text: '#e8e8ee',
+        mutedText: '#9a9aa6',
+        headerBackground: 'var(--fcw-primary)',
+        headerText: 'var(--fcw-on-primary)',
+        botBubble: '#2c2c36',
+        botText: '#f1f1f6',
+        userBubble: 'var(--fcw-primary)',
+        userText: 'var(--fcw-on-primary)',
+        surface: '#26262e',
+        surfaceText: '#e8e8ee',
+        itemBackground: 'rgba(255,255,255,0.06)',
+        cardBackground: '#26262e',
+        border: '#34343e',
+        accent: '#3c3c4a',
+        disabled: '#55555f',
+        danger: '#ff6b6b',
+        radius: '16px',
+        bubbleRadius: '16px',
+        shadow: '0 8px 32px rgba(0,0,0,0.45)',
+        bubbleShadow: 'none'
+      }
+    },
+
+    /**
+     * Colors a scheme derives from the primary color: [color to mix with, share of the primary (%)]
+     */
+    TINTS: {
+      light: {
+        background: ['#fff', 6],
+        botBubble: ['#fff', 14],
+        botText: ['#000', 70],
+        surface: ['#fff', 14],
+        surfaceText: ['#000', 70],
+        border: ['#fff', 22],
+        accent: ['#fff', 32],
+        disabled: ['#fff', 38]
+      },
+      dark: {}
+    },
+
+    /**
+     * Resolve which color scheme a theme option uses
+     * @param {string|Object} theme - 'light', 'dark', 'auto' or a theme object (with an optional preset)
+     * @param {boolean} prefersDark - Whether the OS prefers a dark color scheme
+     * @returns {'light'|'dark'} Color scheme
+     */
+    resolveScheme(theme, prefersDark) {
+      const preset = typeof theme === 'string' ? theme : (theme && theme.preset) || 'light';
+      if (preset === 'auto') return prefersDark ? 'dark' : 'light';
+      return preset === 'dark' ? 'dark' : 'light';
+    },
+
+    /**
+     * Build the theme variables for a color scheme
+     * @param {string|Object} theme - Theme option
+     * @param {'light'|'dark'} scheme - Color scheme
+     * @param {string} themeColor - Primary color from the config
+     * @returns {Object} Theme variables
+     */
+    resolveTheme(theme, scheme, themeColor) {
+      const overrides = theme && typeof theme === 'object' ? theme : {};
+      const { preset, ...custom } = overrides;
+      const variables = { ...this.THEMES[scheme], primary: themeColor, ...custom };
+
+      const tints = this.TINTS[scheme];
+      Object.keys(tints).forEach(key => {
+        if (custom[key]) return;
+        const [base, weight] = tints[key];
+        variables[key] = this.mixColor(variables.primary, base, weight);
+      });
+      if (!custom.primaryHover) {
+        variables.primaryHover = this.lightenColor(variables.primary, 20);
+      }
+      return variables;
+    },
+
+    /**
+     * Custom property names applyTheme() last set, keyed by the instance root
+     * @type {WeakMap<HTMLElement, Array<string>>}
+     */
+    appliedThemes: new WeakMap(),
+
+    /**
+     * Apply theme variables as custom properties on an instance root
+     * Only the properties change, so switching themes does not re-inject the stylesheet.
+     * Properties of the previous theme that the new one does not set are removed.
+     * @param {HTMLElement} root - Instance root element
+     * @param {Object} variables - Theme variables
+     */
+    applyTheme(root, variables) {
+      const names = Object.keys(variables).map(key => {
+        const name = `--fcw-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        root.style.setProperty(name, String(variables[key]));
+        return name;
+      });
+      (this.appliedThemes.get(root) || []).forEach(name => {
+        if (!names.includes(name)) root.style.removeProperty(name);
+      });
+      this.appliedThemes.set(root, names);
+    },
+
+    /**
+     * Create and inject widget styles scoped to one instance
+     * @param {Object} config - Configuration object
+     * @param {string} instanceId - Root element ID of the instance
+     */
+    createStyles(config, instanceId) {
+      const styleId = this.getStyleId(instanceId);
+      if (Utils.elementExists(styleId)) return;
+      
+      const style = Utils.createElement('style', '', this.generateStyleString(config, `#${instanceId}`));
+      style.id = styleId;
+      document.head.appendChild(style);
+    },
+
+    /**
+     * Add widget styles to a shadow root
+     * Uses a constructable stylesheet where supported and a <style> element otherwise.
+     * @param {ShadowRoot} shadowRoot - Shadow root of the instance host
+     * @param {Object} config - Configuration object
+     */
+    adoptStyles(shadowRoot, config) {
+      // Block inherited page styles (except the font, which fontFamily: 'inherit' relies on)
+      const css = `
+        :host {
+          all: initial;
+          font-family: inherit;
         }
-        .fcw-file-input {
+        ${this.generateStyleString(config, '.fcw-root')}
+      `;
+
+      if ('adoptedStyleSheets' in shadowRoot && typeof CSSStyleSheet === 'function' &&
+          typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        shadowRoot.adoptedStyleSheets = [sheet];
+        return;
+      }
+
+      shadowRoot.appendChild(Utils.createElement('style', '', css));
+    },
+
+    /**
+     * Remove the styles of one instance
+     * @param {string} instanceId - Root element ID of the instance
+     */
+    removeStyles(instanceId) {
+      const style = document.getElementById(this.getStyleId(instanceId));
+      if (style && style.parentNode) {
+        style.parentNode.removeChild(style);
+      }
+    },
+
+    /**
+     * Get the style element ID of an instance
+     * @param {string} instanceId - Root element ID of the instance
+     * @returns {string} Style element ID
+     */
+    getStyleId(instanceId) {
+      return `floating-chat-widget-style-${instanceId}`;
+    },
+
+    /**
+     * Generate CSS style string
+     * @param {Object} config - Configuration object
+     * @param {string} scope - Selector that every rule is scoped to
+     * @returns {string} CSS string
+     */
+    generateStyleString(config, scope) {
+      const position = config.position === 'bottom-left' ? 'left: 24px;' : 'right: 24px;';
+
+      // Colors, radii and shadows come from --fcw-* custom properties set on the root (see applyTheme)
+      return `
+        ${scope} .fcw-sr-only {
           position: absolute;
-          top: 0;
-          left: 0;
-          opacity: 0;
-          width: 100%;
-          height: 100%;
-          cursor: pointer;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
         }
-        .fcw-send-btn {
-          background: none;
+        ${scope} .fcw-bubble {
+          position: fixed;
+          ${position}
+          bottom: 24px;
+          z-index: ${config.zIndex};
+          background: var(--fcw-primary);
+          color: var(--fcw-on-primary);
+          width: 56px;
+          height: 56px;
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 2rem;
+          font-family: inherit;
           border: none;
-          color: ${themeColor};
-          font-size: 1.5rem;
-          padding: 0 16px;
+          padding: 0;
+          box-shadow: 0 2px 12px rgba(0,0,0,0.15);
           cursor: pointer;
-          transition: color 0.2s, background 0.2s;
-          border-radius: 50%;
-        }
-        .fcw-send-btn:hover:not(:disabled) {
-          background: #ffb3d6;
-          color: #fff;
+          transition: box-shadow 0.2s, transform 0.2s, background 0.2s;
         }
-        .fcw-send-btn:disabled {
-          color: #ffc1e3;
-          cursor: not-allowed;
+        ${scope} .fcw-bubble:hover {
+          box-shadow: 0 4px 24px rgba(0,0,0,0.25);
+          transform: scale(1.05);
+          background: var(--fcw-primary-hover);
         }
-        .fcw-file-preview {
-          background: #ffe0ef;
-          color: #d72660;
-          padding: 8px;
-          margin: 8px;
-          border-radius: 8px;
-          font-size: 0.9rem;
-          max-height: 120px;
-          overflow-y: auto;
+        ${scope} .fcw-bubble:focus-visible,
+        ${scope} .fcw-resize-handle:focus-visible {
+          outline: 3px solid var(--fcw-primary);
+          outline-offset: 3px;
         }
-        .fcw-files-container {
+        ${scope} .fcw-emoji-bubble,
+        ${scope} .fcw-bubble i {
           display: flex;
-          flex-direction: column;
-          gap: 6px;
+          align-items: center;
+          justify-content: center;
+          font-size: 1.15rem;
+          width: 24px;
+          height: 24px;
+          line-height: 1;
+          margin: 0;
+          padding: 0;
         }
-        .fcw-file-item {
+        ${scope} .fcw-widget {
+          position: fixed;
+          ${position}
+          bottom: 90px;
+          z-index: ${config.zIndex};
+          width: ${config.width}px;
+          max-width: 95vw;
+          min-width: ${config.minWidth}px;
+          height: ${config.height}px;
+          max-height: 80vh;
+          max-height: 80dvh; /* Follows mobile browser toolbars where supported */
+          min-height: ${config.minHeight}px;
+          background: var(--fcw-background);
+          color: var(--fcw-text);
+          color-scheme: var(--fcw-color-scheme);
+          border-radius: var(--fcw-radius);
+          box-shadow: var(--fcw-shadow);
           display: flex;
-          align-items: center;
-          justify-content: space-between;
-          padding: 4px 8px;
-          background: rgba(255, 255, 255, 0.5);
-          border-radius: 6px;
+          flex-direction: column;
+          overflow: hidden;
+          opacity: 0;
+          visibility: hidden; /* Keeps the closed panel out of the tab order and accessibility tree */
+          pointer-events: none;
+          transform: translateY(30px) scale(0.98);
+          transition: opacity ${config.animationDuration}ms, transform ${config.animationDuration}ms,
+            visibility 0s linear ${config.animationDuration}ms;
+          resize: none; /* Disable browser default resize */
         }
-        .fcw-file-item:hover {
-          background: rgba(255, 255, 255, 0.7);
+        ${scope} .fcw-widget.open {
+          opacity: 1;
+          visibility: visible;
+          pointer-events: auto;
+          transform: translateY(0) scale(1);
+          transition-delay: 0s;
         }
-        .fcw-file-info {
-          flex: 1;
+        ${scope} .fcw-header {
+          background: var(--fcw-header-background);
+          color: var(--fcw-header-text);
+          padding: 16px;
+          font-size: 1.1rem;
+          font-family: ${config.fontFamily};
+          font-weight: bold;
+          border-top-left-radius: var(--fcw-radius);
+          border-top-right-radius: var(--fcw-radius);
+          box-shadow: var(--fcw-bubble-shadow);
           display: flex;
           align-items: center;
-          overflow: hidden;
+          justify-content: space-between;
         }
-        .fcw-file-info span {
+        ${scope} .fcw-header-title {
           overflow: hidden;
           text-overflow: ellipsis;
           white-space: nowrap;
         }
-        .fcw-file-remove {
+        ${scope} .fcw-close-btn {
+          display: none;
           background: none;
           border: none;
-          color: #d72660;
+          color: inherit;
+          font-size: 1.1rem;
+          line-height: 1;
+          padding: 2px 6px;
+          margin-inline-start: 4px;
+          border-radius: 50%;
           cursor: pointer;
-          font-size: 1.2rem;
-          padding: 0 4px;
-          margin-left: 8px;
-          transition: color 0.2s;
           flex-shrink: 0;
         }
-        .fcw-file-remove:hover {
-          color: #ff4444;
-        }
-        .fcw-message.user.file {
-          flex-direction: column;
-          align-items: flex-end;
-        }
-        .fcw-file-message {
-          background: ${themeColor};
-          color: #fff;
-          border-radius: 16px;
-          padding: 10px 16px;
-          margin-bottom: 8px;
-          max-width: 80%;
-          font-size: 0.9rem;
-          box-shadow: 0 2px 8px rgba(255,105,180,0.13);
-        }
-        .fcw-file-icon {
-          margin-right: 8px;
+        ${scope} .fcw-close-btn:hover {
+          background: rgba(255,255,255,0.2);
         }
-        .fcw-loading {
+        ${scope}.fcw-fullscreen .fcw-close-btn {
           display: inline-block;
-          letter-spacing: 2px;
-          animation: fcw-blink 1s infinite steps(1, end);
         }
-        @keyframes fcw-blink {
-          0%, 100% { opacity: 1; }
-          50% { opacity: 0.3; }
+        ${scope}[dir="rtl"] .fcw-send-btn:not(.fcw-stop-btn) {
+          transform: scaleX(-1); /* Point the arrow in the reading direction */
         }
-        .fcw-error {
-          color: #ff4444;
-          font-size: 0.9rem;
-          margin-top: 5px;
+        ${scope}.fcw-inline {
+          display: block;
+          width: 100%;
+          height: 100%;
         }
-        .fcw-css-bubble-modern {
-          display: inline-block;
-          width: 22px;
-          height: 18px;
-          background: #fff;
-          border-radius: 12px 12px 16px 16px;
+        ${scope}.fcw-inline .fcw-widget {
           position: relative;
-          box-shadow: 0 2px 8px rgba(0,0,0,0.13);
-          vertical-align: middle;
+          left: auto;
+          right: auto;
+          bottom: auto;
+          z-index: auto;
+          width: 100%;
+          height: 100%;
+          max-width: none;
+          max-height: none;
+          min-width: 0;
+          min-height: 0;
+          transform: none;
+          transition: none;
         }
-        .fcw-css-bubble-modern::after {
-          content: '';
-          position: absolute;
-          left: 8px;
-          bottom: -7px;
-          width: 8px;
-          height: 8px;
-          background: #fff;
-          border-radius: 0 0 8px 8px;
-          transform: rotate(18deg);
-          box-shadow: 0 2px 8px rgba(0,0,0,0.10);
+        ${scope}.fcw-fullscreen .fcw-widget {
+          /* Override sizes left inline by a previous resize */
+          /* The viewport variables track the visual viewport so the input stays above the on-screen keyboard */
+          top: var(--fcw-viewport-top, 0px) !important;
+          left: 0 !important;
+          right: 0 !important;
+          bottom: auto !important;
+          width: auto !important;
+          height: var(--fcw-viewport-height, 100%) !important;
+          max-width: none;
+          max-height: none;
+          min-width: 0;
+          min-height: 0;
+          border-radius: 0;
         }
-        .fcw-resize-handle {
-          position: absolute;
-          background: rgba(0, 0, 0, 0.1);
-          transition: background-color 0.2s;
-          z-index: 10;
+        ${scope}.fcw-fullscreen .fcw-header {
+          border-radius: 0;
         }
-        .fcw-resize-handle:hover {
-          background: rgba(0, 0, 0, 0.2);
+        ${scope}.fcw-fullscreen .fcw-resize-handle {
+          display: none;
         }
-        
-        /* Corner handles */
-        .fcw-resize-nw, .fcw-resize-ne, .fcw-resize-sw, .fcw-resize-se {
-          width: 12px;
-          height: 12px;
+        ${scope} .fcw-new-chat-btn {
+          background: none;
+          border: none;
+          color: inherit;
+          font-size: 1.2rem;
+          line-height: 1;
+          padding: 2px 6px;
+          margin-inline-start: 8px;
+          border-radius: 50%;
+          cursor: pointer;
+          flex-shrink: 0;
+          transition: background 0.2s;
         }
-        .fcw-resize-nw {
+        ${scope} .fcw-new-chat-btn:hover {
+          background: rgba(255,255,255,0.2);
+        }
+        ${scope} .fcw-messages {
+          flex: 1;
+          padding: 16px;
+          overflow-y: auto;
+          background: var(--fcw-background);
+          font-family: ${config.fontFamily};
+        }
+        ${scope} .fcw-message {
+          margin-bottom: 12px;
+          display: flex;
+        }
+        ${scope} .fcw-message.user {
+          justify-content: flex-end;
+        }
+        ${scope} .fcw-message.bot {
+          justify-content: flex-start;
+        }
+        ${scope} .fcw-bubble-text {
+          background: var(--fcw-bot-bubble);
+          color: var(--fcw-bot-text);
+          border-radius: var(--fcw-bubble-radius);
+          padding: 10px 16px;
+          max-width: 80%;
+          font-size: 1rem;
+          word-break: break-word;
+          box-shadow: var(--fcw-bubble-shadow);
+        }
+        ${scope} .fcw-bubble-text > :first-child {
+          margin-top: 0;
+        }
+        ${scope} .fcw-bubble-text > :last-child {
+          margin-bottom: 0;
+        }
+        ${scope} .fcw-bubble-text p,
+        ${scope} .fcw-bubble-text ul,
+        ${scope} .fcw-bubble-text ol,
+        ${scope} .fcw-bubble-text pre,
+        ${scope} .fcw-bubble-text blockquote,
+        ${scope} .fcw-bubble-text .fcw-table-wrap {
+          margin: 0 0 8px;
+        }
+        ${scope} .fcw-bubble-text h1,
+        ${scope} .fcw-bubble-text h2,
+        ${scope} .fcw-bubble-text h3,
+        ${scope} .fcw-bubble-text h4,
+        ${scope} .fcw-bubble-text h5,
+        ${scope} .fcw-bubble-text h6 {
+          margin: 8px 0 6px;
+          font-size: 1.05em;
+          line-height: 1.3;
+        }
+        ${scope} .fcw-bubble-text h1 {
+          font-size: 1.25em;
+        }
+        ${scope} .fcw-bubble-text h2 {
+          font-size: 1.15em;
+        }
+        ${scope} .fcw-bubble-text ul,
+        ${scope} .fcw-bubble-text ol {
+          padding-inline-start: 20px;
+        }
+        ${scope} .fcw-bubble-text li > ul,
+        ${scope} .fcw-bubble-text li > ol,
+        ${scope} .fcw-bubble-text li > p {
+          margin: 2px 0;
+        }
+        ${scope} .fcw-bubble-text a {
+          color: inherit;
+          text-decoration: underline;
+        }
+        ${scope} .fcw-bubble-text code {
+          font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+          font-size: 0.875em;
+          background: rgba(0,0,0,0.06);
+          border-radius: 4px;
+          padding: 1px 4px;
+        }
+        ${scope} .fcw-bubble-text pre {
+          background: rgba(0,0,0,0.06);
+          border-radius: 8px;
+          padding: 8px 10px;
+          overflow-x: auto;
+        }
+        ${scope} .fcw-bubble-text pre code {
+          background: none;
+          padding: 0;
+          white-space: pre;
+        }
+        ${scope} .fcw-bubble-text blockquote {
+          border-inline-start: 3px solid currentColor;
+          padding-inline-start: 10px;
+          opacity: 0.85;
+        }
+        ${scope} .fcw-bubble-text hr {
+          border: none;
+          border-top: 1px solid currentColor;
+          opacity: 0.3;
+          margin: 8px 0;
+        }
+        ${scope} .fcw-bubble-text .fcw-table-wrap {
+          overflow-x: auto;
+        }
+        ${scope} .fcw-bubble-text table {
+          border-collapse: collapse;
+          font-size: 0.9em;
+        }
+        ${scope} .fcw-bubble-text th,
+        ${scope} .fcw-bubble-text td {
+          border: 1px solid rgba(0,0,0,0.12);
+          padding: 4px 8px;
+          text-align: start;
+        }
+        ${scope} .fcw-message.user .fcw-bubble-text {
+          background: var(--fcw-user-bubble);
+          color: var(--fcw-user-text);
+        }
+        ${scope} .fcw-input-row {
+          display: flex;
+          border-top: 1px solid var(--fcw-border);
+          background: var(--fcw-background);
+        }
+        ${scope} .fcw-input {
+          flex: 1;
+          border: none;
+          padding: 12px;
+          font-size: 1rem;
+          font-family: ${config.fontFamily};
+          outline: none;
+          background: transparent;
+          color: var(--fcw-text);
+        }
+        ${scope} .fcw-input:focus {
+          background: var(--fcw-surface);
+        }
+        ${scope} .fcw-file-btn,
+        ${scope} .fcw-mic-btn {
+          background: none;
+          border: none;
+          color: var(--fcw-primary);
+          font-size: 1.3rem;
+          padding: 0 12px;
+          cursor: pointer;
+          transition: color 0.2s, background 0.2s;
+          border-radius: 50%;
+          position: relative;
+        }
+        ${scope} .fcw-file-btn:hover:not(:disabled),
+        ${scope} .fcw-mic-btn:hover:not(:disabled) {
+          background: var(--fcw-accent);
+          color: var(--fcw-on-primary);
+        }
+        ${scope} .fcw-file-btn:disabled,
+        ${scope} .fcw-mic-btn:disabled {
+          color: var(--fcw-disabled);
+          cursor: not-allowed;
+        }
+        ${scope} .fcw-mic-btn[aria-pressed="true"] {
+          background: var(--fcw-danger);
+          color: #fff;
+        }
+        ${scope} .fcw-voice-status {
+          display: none;
+          align-items: center;
+          gap: 6px;
+          padding: 0 8px 0 12px;
+          color: var(--fcw-surface-text);
+          font-size: 0.9rem;
+          font-variant-numeric: tabular-nums;
+        }
+        ${scope} .fcw-voice-active .fcw-voice-status {
+          display: flex;
+        }
+        ${scope} .fcw-recording .fcw-voice-status {
+          flex: 1;
+        }
+        ${scope} .fcw-recording .fcw-input,
+        ${scope} .fcw-recording .fcw-file-btn {
+          display: none;
+        }
+        ${scope} .fcw-voice-dot {
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          background: var(--fcw-danger);
+          animation: fcw-voice-pulse 1s infinite alternate;
+        }
+        @keyframes fcw-voice-pulse {
+          from { opacity: 1; }
+          to { opacity: 0.3; }
+        }
+        ${scope} .fcw-voice-cancel {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          padding: 0 4px;
+        }
+        ${scope} .fcw-speak-btn {
+          align-self: flex-end;
+          background: none;
+          border: none;
+          padding: 2px 6px;
+          margin-inline-start: 4px;
+          font-size: 0.9rem;
+          cursor: pointer;
+          opacity: 0.5;
+          transition: opacity 0.2s;
+        }
+        ${scope} .fcw-message.fcw-has-author .fcw-speak-btn {
+          align-self: flex-start;
+          margin-inline-start: 0;
+        }
+        ${scope} .fcw-speak-btn:hover,
+        ${scope} .fcw-speak-btn[aria-pressed="true"] {
+          opacity: 1;
+        }
+        ${scope} .fcw-file-audio {
+          margin-bottom: 8px;
+          max-width: 80%;
+        }
+        ${scope} .fcw-file-audio audio {
+          display: block;
+          max-width: 100%;
+        }
+        ${scope} .fcw-file-input {
+          position: absolute;
+          top: 0;
+          left: 0;
+          opacity: 0;
+          width: 100%;
+          height: 100%;
+          cursor: pointer;
+        }
+        ${scope} .fcw-send-btn {
+          background: none;
+          border: none;
+          color: var(--fcw-primary);
+          font-size: 1.5rem;
+          padding: 0 16px;
+          cursor: pointer;
+          transition: color 0.2s, background 0.2s;
+          border-radius: 50%;
+        }
+        ${scope} .fcw-send-btn:hover:not(:disabled) {
+          background: var(--fcw-accent);
+          color: var(--fcw-on-primary);
+        }
+        ${scope} .fcw-send-btn.fcw-stop-btn {
+          font-size: 1.1rem;
+        }
+        ${scope} .fcw-send-btn:disabled {
+          color: var(--fcw-disabled);
+          cursor: not-allowed;
+        }
+        ${scope} .fcw-file-preview {
+          background: var(--fcw-surface);
+          color: var(--fcw-surface-text);
+          padding: 8px;
+          margin: 8px;
+          border-radius: 8px;
+          font-size: 0.9rem;
+          max-height: 120px;
+          overflow-y: auto;
+        }
+        ${scope} .fcw-files-container {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        ${scope} .fcw-file-item {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          justify-content: space-between;
+          padding: 4px 8px;
+          background: var(--fcw-item-background);
+          border-radius: 6px;
+        }
+        ${scope} .fcw-drop-zone {
+          display: none;
+          position: absolute;
+          inset: 8px;
+          z-index: 2;
+          align-items: center;
+          justify-content: center;
+          border: 2px dashed var(--fcw-primary);
+          border-radius: var(--fcw-radius);
+          background: var(--fcw-background);
+          opacity: 0.95;
+          color: var(--fcw-primary);
+          font-weight: 600;
+          pointer-events: none;
+        }
+        ${scope} .fcw-widget.fcw-dragging .fcw-drop-zone {
+          display: flex;
+        }
+        ${scope} .fcw-file-progress {
+          flex-basis: 100%;
+          height: 4px;
+          margin-top: 4px;
+          background: rgba(0,0,0,0.08);
+          border-radius: 2px;
+          overflow: hidden;
+        }
+        ${scope} .fcw-file-progress-bar {
+          width: 0;
+          height: 100%;
+          background: var(--fcw-primary);
+          transition: width 0.2s;
+        }
+        ${scope} .fcw-file-preview.fcw-uploading .fcw-file-remove {
+          visibility: hidden;
+        }
+        ${scope} .fcw-file-item:hover {
+          background: var(--fcw-background);
+        }
+        ${scope} .fcw-file-info {
+          flex: 1;
+          display: flex;
+          align-items: center;
+          overflow: hidden;
+        }
+        ${scope} .fcw-file-info span {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        ${scope} .fcw-file-remove {
+          background: none;
+          border: none;
+          color: var(--fcw-surface-text);
+          cursor: pointer;
+          font-size: 1.2rem;
+          padding: 0 4px;
+          margin-inline-start: 8px;
+          transition: color 0.2s;
+          flex-shrink: 0;
+        }
+        ${scope} .fcw-file-remove:hover {
+          color: var(--fcw-danger);
+        }
+        ${scope} .fcw-message.user.file {
+          flex-direction: column;
+          align-items: flex-end;
+        }
+        ${scope} .fcw-file-message {
+          background: var(--fcw-user-bubble);
+          color: var(--fcw-user-text);
+          border-radius: var(--fcw-bubble-radius);
+          padding: 10px 16px;
+          margin-bottom: 8px;
+          max-width: 80%;
+          font-size: 0.9rem;
+          box-shadow: var(--fcw-bubble-shadow);
+        }
+        ${scope} .fcw-file-icon {
+          margin-inline-end: 8px;
+        }
+        ${scope} .fcw-message.bot.file {
+          flex-direction: column;
+          align-items: flex-start;
+        }
+        ${scope} .fcw-message.bot .fcw-file-message {
+          background: var(--fcw-bot-bubble);
+          color: var(--fcw-bot-text);
+        }
+        ${scope} a.fcw-file-message {
+          text-decoration: none;
+        }
+        ${scope} a.fcw-file-message:hover {
+          text-decoration: underline;
+        }
+        ${scope} .fcw-file-thumb {
+          width: 32px;
+          height: 32px;
+          object-fit: cover;
+          border-radius: 4px;
+          margin-inline-end: 8px;
+          flex-shrink: 0;
+        }
+        ${scope} .fcw-file-image {
+          display: block;
+          padding: 0;
+          margin-bottom: 8px;
+          max-width: 70%;
+          border: none;
+          border-radius: 12px;
+          overflow: hidden;
+          background: none;
+          cursor: zoom-in;
+        }
+        ${scope} .fcw-file-image img {
+          display: block;
+          max-width: 100%;
+          max-height: 200px;
+          object-fit: cover;
+        }
+        ${scope} .fcw-lightbox {
+          position: fixed;
+          inset: 0;
+          z-index: ${config.zIndex + 1};
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(0,0,0,0.8);
+          cursor: zoom-out;
+        }
+        ${scope} .fcw-lightbox img {
+          max-width: 92vw;
+          max-height: 92vh;
+          border-radius: 8px;
+          box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+        }
+        ${scope} .fcw-message.fcw-blocks {
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 8px;
+        }
+        ${scope} .fcw-quick-replies,
+        ${scope} .fcw-buttons {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+        ${scope} .fcw-chip,
+        ${scope} .fcw-action-btn {
+          font: inherit;
+          font-size: 0.875rem;
+          line-height: 1.2;
+          padding: 6px 12px;
+          border: 1px solid var(--fcw-primary);
+          border-radius: var(--fcw-bubble-radius);
+          background: var(--fcw-card-background);
+          color: var(--fcw-primary);
+          cursor: pointer;
+          text-decoration: none;
+          transition: background 0.2s, color 0.2s;
+        }
+        ${scope} .fcw-chip:hover,
+        ${scope} .fcw-action-btn:hover {
+          background: var(--fcw-primary);
+          color: var(--fcw-on-primary);
+        }
+        ${scope} .fcw-action-btn {
+          border-radius: 8px;
+        }
+        ${scope} .fcw-carousel {
+          display: flex;
+          gap: 8px;
+          max-width: 100%;
+          overflow-x: auto;
+          scroll-snap-type: x mandatory;
+          padding-bottom: 4px;
+        }
+        ${scope} .fcw-carousel .fcw-card {
+          flex: 0 0 75%;
+          scroll-snap-align: start;
+        }
+        ${scope} .fcw-card {
+          width: 80%;
+          max-width: 260px;
+          background: var(--fcw-card-background);
+          color: var(--fcw-text);
+          border-radius: 12px;
+          overflow: hidden;
+          box-shadow: var(--fcw-bubble-shadow);
+        }
+        ${scope} .fcw-card-image {
+          display: block;
+          width: 100%;
+          height: 140px;
+          object-fit: cover;
+        }
+        ${scope} .fcw-card-body {
+          padding: 10px 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+        ${scope} .fcw-card-title {
+          font-weight: bold;
+        }
+        ${scope} .fcw-card-link {
+          color: inherit;
+        }
+        ${scope} .fcw-card-subtitle {
+          font-size: 0.85rem;
+          opacity: 0.7;
+        }
+        ${scope} .fcw-card-text {
+          font-size: 0.9rem;
+        }
+        ${scope} .fcw-card .fcw-buttons {
+          margin-top: 6px;
+        }
+        ${scope} .fcw-message.fcw-failed,
+        ${scope} .fcw-message.fcw-queued {
+          flex-direction: column;
+          align-items: flex-end;
+        }
+        ${scope} .fcw-message.fcw-failed .fcw-bubble-text,
+        ${scope} .fcw-message.fcw-failed .fcw-file-message {
+          opacity: 0.6;
+        }
+        ${scope} .fcw-message.fcw-queued .fcw-bubble-text,
+        ${scope} .fcw-message.fcw-queued .fcw-file-message {
+          opacity: 0.8;
+        }
+        ${scope} .fcw-message-status {
+          font-size: 0.8rem;
+          margin-top: 4px;
+          color: var(--fcw-muted-text);
+        }
+        ${scope} .fcw-retry-btn {
+          background: none;
+          border: none;
+          padding: 0;
+          font: inherit;
+          font-size: 0.8rem;
+          color: var(--fcw-danger);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+        ${scope} .fcw-message.fcw-has-author {
+          flex-direction: column;
+          align-items: flex-start;
+        }
+        ${scope} .fcw-message-author {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.8rem;
+          margin-bottom: 4px;
+          opacity: 0.8;
+        }
+        ${scope} .fcw-author-avatar {
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          object-fit: cover;
+        }
+        ${scope} .fcw-message-actions {
+          display: flex;
+          align-self: flex-end;
+          gap: 2px;
+          margin-inline-start: 4px;
+          opacity: 0;
+          transition: opacity 0.2s;
+        }
+        ${scope} .fcw-message.user .fcw-message-actions {
+          order: -1;
+          margin-inline-start: 0;
+          margin-inline-end: 4px;
+        }
+        ${scope} .fcw-message.fcw-has-author .fcw-message-actions,
+        ${scope} .fcw-message.fcw-failed .fcw-message-actions,
+        ${scope} .fcw-message.fcw-queued .fcw-message-actions {
+          order: 0;
+          align-self: auto;
+          margin: 4px 0 0;
+        }
+        ${scope} .fcw-message:hover .fcw-message-actions,
+        ${scope} .fcw-message:focus-within .fcw-message-actions,
+        ${scope} .fcw-message.fcw-actions-visible .fcw-message-actions {
+          opacity: 1;
+        }
+        ${scope} .fcw-message.fcw-editing .fcw-message-actions {
+          display: none;
+        }
+        ${scope} .fcw-message-action {
+          background: none;
+          border: none;
+          border-radius: 4px;
+          padding: 2px 6px;
+          font-size: 0.85rem;
+          color: var(--fcw-muted-text);
+          cursor: pointer;
+        }
+        ${scope} .fcw-message-action:hover {
+          background: var(--fcw-item-background);
+        }
+        ${scope} .fcw-message-action[aria-pressed="true"] {
+          background: var(--fcw-primary);
+          color: var(--fcw-on-primary);
+        }
+        ${scope} .fcw-edit-form {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          width: 80%;
+        }
+        ${scope} .fcw-edit-input,
+        ${scope} .fcw-feedback-input {
+          font: inherit;
+          font-size: 0.9rem;
+          padding: 8px;
+          border: 1px solid var(--fcw-border);
+          border-radius: 8px;
+          background: var(--fcw-surface);
+          color: var(--fcw-text);
+          resize: vertical;
+        }
+        ${scope} .fcw-edit-buttons {
+          display: flex;
+          justify-content: flex-end;
+          gap: 6px;
+        }
+        ${scope} .fcw-edit-buttons button,
+        ${scope} .fcw-feedback-comment button {
+          font: inherit;
+          font-size: 0.85rem;
+          padding: 4px 10px;
+          border: 1px solid var(--fcw-primary);
+          border-radius: 6px;
+          background: none;
+          color: var(--fcw-primary);
+          cursor: pointer;
+        }
+        ${scope} .fcw-edit-buttons button[type="submit"],
+        ${scope} .fcw-feedback-comment button {
+          background: var(--fcw-primary);
+          color: var(--fcw-on-primary);
+        }
+        ${scope} .fcw-feedback-comment {
+          display: flex;
+          gap: 6px;
+          margin: -4px 0 12px;
+        }
+        ${scope} .fcw-feedback-comment .fcw-feedback-input {
+          flex: 1;
+          min-width: 0;
+        }
+        ${scope} .fcw-feedback-thanks {
+          font-size: 0.8rem;
+          color: var(--fcw-muted-text);
+          margin: -4px 0 12px;
+        }
+        ${scope} .fcw-system-message {
+          text-align: center;
+          font-size: 0.8rem;
+          color: var(--fcw-muted-text);
+          margin: 4px 0 12px;
+        }
+        ${scope} .fcw-loading {
+          display: inline-block;
+          letter-spacing: 2px;
+          animation: fcw-blink 1s infinite steps(1, end);
+        }
+        ${scope} .fcw-bubble-text.fcw-streaming::after {
+          content: '▍';
+          margin-inline-start: 1px;
+          animation: fcw-blink 1s infinite steps(1, end);
+        }
+        @keyframes fcw-blink {
+          0%, 100% { opacity: 1; }
+          50% { opacity: 0.3; }
+        }
+        @media (prefers-reduced-motion: reduce) {
+          ${scope} .fcw-bubble,
+          ${scope} .fcw-widget,
+          ${scope} .fcw-file-progress-bar {
+            transition: none;
+          }
+          ${scope} .fcw-bubble:hover {
+            transform: none;
+          }
+          ${scope} .fcw-loading,
+          ${scope} .fcw-voice-dot,
+          ${scope} .fcw-bubble-text.fcw-streaming::after {
+            animation: none;
+          }
+        }
+        ${scope} .fcw-error {
+          color: var(--fcw-danger);
+          font-size: 0.9rem;
+          margin-top: 5px;
+        }
+        ${scope} .fcw-css-bubble-modern {
+          display: inline-block;
+          width: 22px;
+          height: 18px;
+          background: var(--fcw-on-primary);
+          border-radius: 12px 12px 16px 16px;
+          position: relative;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.13);
+          vertical-align: middle;
+        }
+        ${scope} .fcw-css-bubble-modern::after {
+          content: '';
+          position: absolute;
+          left: 8px;
+          bottom: -7px;
+          width: 8px;
+          height: 8px;
+          background: var(--fcw-on-primary);
+          border-radius: 0 0 8px 8px;
+          transform: rotate(18deg);
+          box-shadow: 0 2px 8px rgba(0,0,0,0.10);
+        }
+        ${scope} .fcw-resize-handle {
+          position: absolute;
+          background: rgba(0, 0, 0, 0.1);
+          transition: background-color 0.2s;
+          z-index: 10;
+          touch-action: none; /* Dragging a handle must not scroll or zoom the page */
+        }
+        ${scope} .fcw-resize-handle:hover {
+          background: rgba(0, 0, 0, 0.2);
+        }
+        
+        /* Corner handles */
+        ${scope} .fcw-resize-nw, ${scope} .fcw-resize-ne, ${scope} .fcw-resize-sw, ${scope} .fcw-resize-se {
+          width: 12px;
+          height: 12px;
+        }
+        ${scope} .fcw-resize-nw {
           top: -6px;
           left: -6px;
           cursor: nw-resize;
         }
-        .fcw-resize-ne {
-          top: -6px;
-          right: -6px;
-          cursor: ne-resize;
+        ${scope} .fcw-resize-ne {
+          top: -6px;
+          right: -6px;
+          cursor: ne-resize;
+        }
+        ${scope} .fcw-resize-sw {
+          bottom: -6px;
+          left: -6px;
+          cursor: sw-resize;
+        }
+        ${scope} .fcw-resize-se {
+          bottom: -6px;
+          right: -6px;
+          cursor: se-resize;
+        }
+        
+        /* Edge handles */
+        ${scope} .fcw-resize-n, ${scope} .fcw-resize-s {
+          left: 12px;
+          right: 12px;
+          height: 8px;
+        }
+        ${scope} .fcw-resize-n {
+          top: -4px;
+          cursor: n-resize;
+        }
+        ${scope} .fcw-resize-s {
+          bottom: -4px;
+          cursor: s-resize;
+        }
+        
+        ${scope} .fcw-resize-e, ${scope} .fcw-resize-w {
+          top: 12px;
+          bottom: 12px;
+          width: 8px;
+        }
+        ${scope} .fcw-resize-e {
+          right: -4px;
+          cursor: e-resize;
+        }
+        ${scope} .fcw-resize-w {
+          left: -4px;
+          cursor: w-resize;
+        }
+
+        /* Larger corner targets for touch */
+        @media (pointer: coarse) {
+          ${scope} .fcw-resize-nw, ${scope} .fcw-resize-ne, ${scope} .fcw-resize-sw, ${scope} .fcw-resize-se {
+            width: 24px;
+            height: 24px;
+          }
+        }
+      `;
+    },
+
+    /**
+     * Lighten a color
+     * @param {string} color - Color code
+     * @param {number} percent - Lighten percent
+     * @returns {string} Lightened color
+     */
+    lightenColor(color, percent) {
+      // Only #rgb / #rrggbb(aa) colors can be computed; keep anything else (e.g. var() or rgb()) as is
+      let hex = String(color).trim().replace('#', '');
+      if (!/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(String(color).trim())) return color;
+      if (hex.length === 3) hex = hex.split('').map(digit => digit + digit).join('');
+      const num = parseInt(hex.slice(0, 6), 16);
+      const amt = Math.round(2.55 * percent);
+      const R = (num >> 16) + amt;
+      const G = (num >> 8 & 0x00FF) + amt;
+      const B = (num & 0x0000FF) + amt;
+      return "#" + (0x1000000 + (R < 255 ? R < 1 ? 0 : R : 255) * 0x10000 +
+        (G < 255 ? G < 1 ? 0 : G : 255) * 0x100 +
+        (B < 255 ? B < 1 ? 0 : B : 255)).toString(16).slice(1);
+    },
+
+    /**
+     * Mix a color with another one (e.g. a tint of the primary color with white)
+     * @param {string} color - Color code
+     * @param {string} base - Color to mix with
+     * @param {number} weight - Share of color in the result (%)
+     * @returns {string} Mixed #rrggbb color; for colors that cannot be computed (e.g. var()) a color-mix() expression,
+     *   or the base color where color-mix() is unsupported
+     */
+    mixColor(color, base, weight) {
+      const from = this.parseColor(color);
+      const to = this.parseColor(base);
+      if (!from || !to) {
+        // An unsupported color-mix() would leave the property invalid and the surface without a background
+        return this.supportsColorMix() ? `color-mix(in srgb, ${color} ${weight}%, ${base})` : base;
+      }
+
+      return '#' + from.map((channel, index) => {
+        const mixed = Math.round((channel * weight + to[index] * (100 - weight)) / 100);
+        return mixed.toString(16).padStart(2, '0');
+      }).join('');
+    },
+
+    /**
+     * Canvas context used to normalize CSS colors (null if canvases are unavailable)
+     * @type {CanvasRenderingContext2D|null|undefined}
+     */
+    colorProbe: undefined,
+
+    /**
+     * Read the RGB channels of a CSS color
+     * Hex and rgb() colors are parsed directly; named, hsl() and other colors go through a canvas.
+     * @param {string} value - CSS color
+     * @returns {Array<number>|null} [red, green, blue], or null if the color cannot be computed (e.g. var())
+     */
+    parseColor(value) {
+      const color = String(value).trim();
+      const hex = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color);
+      if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3) digits = digits.split('').map(digit => digit + digit).join('');
+        return [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+      }
+      const rgb = /^rgba?\(\s*(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,/)]/i.exec(color);
+      if (rgb) {
+        return [1, 2, 3].map(index => Math.min(255, Math.round(Number(rgb[index]))));
+      }
+      // Custom properties only resolve on an element; the canvas would reject them anyway
+      if (/var\(/i.test(color)) return null;
+
+      const normalized = this.normalizeColor(color);
+      return normalized && normalized !== color ? this.parseColor(normalized) : null;
+    },
+
+    /**
+     * Let a canvas turn a CSS color into #rrggbb or rgba() notation
+     * @param {string} color - CSS color
+     * @returns {string|null} Normalized color, or null if it is invalid or canvases are unavailable
+     */
+    normalizeColor(color) {
+      if (this.colorProbe === undefined) {
+        try {
+          this.colorProbe = document.createElement('canvas').getContext('2d') || null;
+        } catch (error) {
+          this.colorProbe = null;
+        }
+      }
+      const probe = this.colorProbe;
+      if (!probe) return null;
+
+      // Invalid colors are ignored, leaving the previous fill style: try two and compare
+      probe.fillStyle = '#000';
+      probe.fillStyle = color;
+      const first = probe.fillStyle;
+      probe.fillStyle = '#fff';
+      probe.fillStyle = color;
+      return first === probe.fillStyle ? first : null;
+    },
+
+    /**
+     * Check whether the browser supports color-mix()
+     * @returns {boolean}
+     */
+    supportsColorMix() {
+      return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+        CSS.supports('color', 'color-mix(in srgb, red 50%, white)');
+    }
+  };
+
+  /**
+   * Message management class
+   */
+  const MessageManager = {
+    /**
+     * Add a message
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {'user'|'bot'} sender - Sender
+     * @param {string} text - Message text
+     * @param {Object} options - Options ({ loading, streaming, typingSpeed, markdown, author, onTyping })
+     * @returns {HTMLElement} Message element
+     */
+    addMessage(messagesContainer, sender, text, options = {}) {
+      const messageElement = Utils.createElement('div', `fcw-message ${sender}`);
+      const bubbleElement = Utils.createElement('div', 'fcw-bubble-text');
+      bubbleElement.setAttribute('part', `message ${sender}-message`);
+      
+      if (options.author) {
+        this.addAuthor(messageElement, options.author);
+      }
+      
+      if (options.loading) {
+        bubbleElement.innerHTML = '<span class="fcw-loading">●●●</span>';
+      } else if (options.streaming) {
+        bubbleElement.innerHTML = '';
+        messageElement.appendChild(bubbleElement);
+        messagesContainer.appendChild(messageElement);
+        this.scrollToBottom(messagesContainer);
+        const typing = this.streamTextToBubble(bubbleElement, text, options.typingSpeed, options.markdown);
+        if (typeof options.onTyping === 'function') options.onTyping(typing);
+        return messageElement;
+      } else {
+        bubbleElement.innerHTML = Utils.formatMarkdown(text, options.markdown);
+      }
+      
+      messageElement.appendChild(bubbleElement);
+      messagesContainer.appendChild(messageElement);
+      this.scrollToBottom(messagesContainer);
+      return messageElement;
+    },
+
+    /**
+     * Show the author (e.g. a live agent) above a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {{name?: string, avatar?: string}} author - Author
+     */
+    addAuthor(messageElement, author) {
+      const authorElement = Utils.createElement('div', 'fcw-message-author');
+
+      if (author.avatar && MarkdownRenderer.isSafeUrl(String(author.avatar), ['http:', 'https:'])) {
+        const avatar = Utils.createElement('img', 'fcw-author-avatar');
+        avatar.src = author.avatar;
+        avatar.alt = '';
+        authorElement.appendChild(avatar);
+      }
+      if (author.name) {
+        authorElement.appendChild(Utils.createElement('span', 'fcw-author-name')).textContent = author.name;
+      }
+
+      messageElement.classList.add('fcw-has-author');
+      messageElement.appendChild(authorElement);
+    },
+
+    /**
+     * Add a centered system notice (e.g. an agent joined or left)
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {string} text - Notice text
+     * @returns {HTMLElement} Notice element
+     */
+    addSystemMessage(messagesContainer, text) {
+      const notice = Utils.createElement('div', 'fcw-system-message');
+      notice.textContent = text;
+      messagesContainer.appendChild(notice);
+      this.scrollToBottom(messagesContainer);
+      return notice;
+    },
+
+    /**
+     * Stream text to bubble (typing animation)
+     * @param {HTMLElement} bubble - Bubble element
+     * @param {string} text - Text to display
+     * @param {number} [typingSpeed] - Delay between characters (ms)
+     * @param {Object} [markdown] - Markdown options (see Utils.formatMarkdown)
+     * @returns {{finish: function():void, done: Promise<void>}} Typing controls; finish() shows the full text at once
+     */
+    streamTextToBubble(bubble, text, typingSpeed = DEFAULT_CONFIG.typingSpeed, markdown = {}) {
+      let index = 0;
+      let timer = null;
+      let resolveDone;
+      const done = new Promise(resolve => { resolveDone = resolve; });
+      const formatted = Utils.formatMarkdown(text, markdown);
+      const tempDiv = Utils.createElement('div', '', formatted);
+      const plainText = tempDiv.textContent || tempDiv.innerText || '';
+
+      const finish = () => {
+        clearTimeout(timer);
+        bubble.innerHTML = formatted;
+        resolveDone();
+      };
+      
+      const typeText = () => {
+        if (index <= plainText.length) {
+          bubble.textContent = plainText.slice(0, index);
+          index++;
+          timer = setTimeout(typeText, typingSpeed);
+        } else {
+          finish();
+        }
+      };
+      
+      typeText();
+      return { finish, done };
+    },
+
+    /**
+     * Create an empty bubble that is filled as stream tokens arrive
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {'user'|'bot'} sender - Sender
+     * @returns {HTMLElement} Bubble element
+     */
+    createStreamingMessage(messagesContainer, sender) {
+      const messageElement = Utils.createElement('div', `fcw-message ${sender}`);
+      const bubbleElement = Utils.createElement('div', 'fcw-bubble-text fcw-streaming');
+      bubbleElement.setAttribute('part', `message ${sender}-message`);
+      messageElement.appendChild(bubbleElement);
+      messagesContainer.appendChild(messageElement);
+      this.scrollToBottom(messagesContainer);
+      return bubbleElement;
+    },
+
+    /**
+     * Update a streaming bubble with the text received so far
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {HTMLElement} bubble - Bubble element
+     * @param {string} text - Accumulated text
+     */
+    updateStreamingMessage(messagesContainer, bubble, text) {
+      // Plain text while streaming; markdown is rendered once the stream ends
+      bubble.textContent = text;
+      this.scrollToBottom(messagesContainer);
+    },
+
+    /**
+     * Finish a streaming bubble and render its markdown
+     * @param {HTMLElement} bubble - Bubble element
+     * @param {string} text - Final text
+     * @param {Object} [markdown] - Markdown options (see Utils.formatMarkdown)
+     */
+    finalizeStreamingMessage(bubble, text, markdown = {}) {
+      bubble.classList.remove('fcw-streaming');
+      bubble.innerHTML = Utils.formatMarkdown(text, markdown);
+    },
+
+    /**
+     * Render rich response blocks below a bot message
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {Array<Object>} blocks - Blocks (quickReplies, buttons, card, carousel)
+     * @param {Object} options - Options ({ onAction, linkProtocols })
+     * @returns {HTMLElement|null} Blocks row, or null if nothing could be rendered
+     */
+    addBlocks(messagesContainer, blocks, options = {}) {
+      const row = Utils.createElement('div', 'fcw-message bot fcw-blocks');
+      blocks.forEach(block => {
+        const element = this.createBlock(block, options);
+        if (element) row.appendChild(element);
+      });
+
+      if (!row.children.length) return null;
+      messagesContainer.appendChild(row);
+      this.scrollToBottom(messagesContainer);
+      return row;
+    },
+
+    /**
+     * Create the element of one block
+     * @param {Object} block - Block definition
+     * @param {Object} options - Options ({ onAction, linkProtocols })
+     * @returns {HTMLElement|null} Block element
+     */
+    createBlock(block, options) {
+      switch (block.type) {
+        case 'quickReplies':
+          return this.createButtonGroup('fcw-quick-replies', 'fcw-chip', block.options || block.buttons, options);
+        case 'buttons':
+          return this.createButtonGroup('fcw-buttons', 'fcw-action-btn', block.buttons, options);
+        case 'card':
+          return this.createCard(block, options);
+        case 'carousel': {
+          const carousel = Utils.createElement('div', 'fcw-carousel');
+          (block.cards || []).forEach(card => {
+            if (card && typeof card === 'object') carousel.appendChild(this.createCard(card, options));
+          });
+          return carousel.children.length ? carousel : null;
+        }
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * Create a group of buttons
+     * @param {string} groupClass - Group class name
+     * @param {string} buttonClass - Button class name
+     * @param {Array<Object|string>} buttons - Button definitions
+     * @param {Object} options - Options ({ onAction, linkProtocols })
+     * @returns {HTMLElement|null} Group element
+     */
+    createButtonGroup(groupClass, buttonClass, buttons, options) {
+      const group = Utils.createElement('div', groupClass);
+      (Array.isArray(buttons) ? buttons : []).forEach(button => {
+        const element = this.createButton(button, buttonClass, options);
+        if (element) group.appendChild(element);
+      });
+      return group.children.length ? group : null;
+    },
+
+    /**
+     * Create a button: link buttons open a URL, others trigger options.onAction
+     * @param {Object|string} definition - { label, url } | { label, postback } | { label, value } | label
+     * @param {string} className - Button class name
+     * @param {Object} options - Options ({ onAction, linkProtocols })
+     * @returns {HTMLElement|null} Button element
+     */
+    createButton(definition, className, options) {
+      const button = this.normalizeButton(definition);
+      if (!button) return null;
+
+      if (button.url) {
+        if (!MarkdownRenderer.isSafeUrl(button.url, options.linkProtocols || MarkdownRenderer.DEFAULT_LINK_PROTOCOLS)) {
+          return null;
+        }
+        const link = Utils.createElement('a', `${className} fcw-link-btn`);
+        link.href = button.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = button.label;
+        return link;
+      }
+
+      const element = Utils.createElement('button', className);
+      element.type = 'button';
+      element.textContent = button.label;
+      element.addEventListener('click', () => {
+        if (typeof options.onAction === 'function') options.onAction(button, element);
+      });
+      return element;
+    },
+
+    /**
+     * Normalize a button definition
+     * @param {Object|string} definition - Button definition
+     * @returns {{label: string, url?: string, postback?: *, value?: string}|null} Normalized button
+     */
+    normalizeButton(definition) {
+      if (typeof definition === 'string') {
+        return definition ? { label: definition, value: definition } : null;
+      }
+      if (!definition || typeof definition !== 'object') return null;
+
+      const label = definition.label || definition.title || definition.text;
+      if (!label) return null;
+
+      const button = { label: String(label) };
+      if (definition.url) {
+        button.url = String(definition.url);
+      } else if (definition.postback !== undefined) {
+        button.postback = definition.postback;
+      } else {
+        button.value = definition.value !== undefined ? String(definition.value) : button.label;
+      }
+      return button;
+    },
+
+    /**
+     * Create a card with optional image, text and buttons
+     * @param {Object} card - { title, subtitle, text, image, url, buttons }
+     * @param {Object} options - Options ({ onAction, linkProtocols })
+     * @returns {HTMLElement} Card element
+     */
+    createCard(card, options) {
+      const element = Utils.createElement('div', 'fcw-card');
+      const image = card.image || card.imageUrl;
+
+      if (image && MarkdownRenderer.isSafeUrl(String(image), ['http:', 'https:'])) {
+        const img = Utils.createElement('img', 'fcw-card-image');
+        img.src = image;
+        img.alt = card.title || '';
+        img.loading = 'lazy';
+        element.appendChild(img);
+      }
+
+      const body = Utils.createElement('div', 'fcw-card-body');
+      if (card.title) {
+        const title = Utils.createElement('div', 'fcw-card-title');
+        const titleLink = card.url && this.createButton({ label: card.title, url: card.url }, 'fcw-card-link', options);
+        if (titleLink) {
+          title.appendChild(titleLink);
+        } else {
+          title.textContent = card.title;
+        }
+        body.appendChild(title);
+      }
+      if (card.subtitle) {
+        body.appendChild(Utils.createElement('div', 'fcw-card-subtitle')).textContent = card.subtitle;
+      }
+      if (card.text) {
+        body.appendChild(Utils.createElement('div', 'fcw-card-text')).textContent = card.text;
+      }
+      const buttons = this.createButtonGroup('fcw-buttons', 'fcw-action-btn', card.buttons, options);
+      if (buttons) body.appendChild(buttons);
+
+      element.appendChild(body);
+      return element;
+    },
+
+    /**
+     * Set the delivery state of a user message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {'failed'|'queued'|null} state - Delivery state (null clears it)
+     * @param {Object} [options] - Options ({ label, onRetry })
+     */
+    setMessageState(messageElement, state, options = {}) {
+      messageElement.classList.remove('fcw-failed', 'fcw-queued');
+      const current = messageElement.querySelector('.fcw-message-status');
+      if (current) messageElement.removeChild(current);
+      if (!state) return;
+
+      messageElement.classList.add(`fcw-${state}`);
+      let status;
+      if (state === 'failed' && typeof options.onRetry === 'function') {
+        status = Utils.createElement('button', 'fcw-message-status fcw-retry-btn');
+        status.type = 'button';
+        status.addEventListener('click', options.onRetry);
+      } else {
+        status = Utils.createElement('span', 'fcw-message-status');
+      }
+      status.textContent = options.label || '';
+      messageElement.appendChild(status);
+    },
+
+    /**
+     * Add action buttons (copy, edit, feedback...) to a message
+     * The bar shows on hover and focus; on touch screens a long press toggles it.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Array<{name: string, icon: string, label: string, onClick: function(HTMLElement):void}>} actions - Actions
+     */
+    addMessageActions(messageElement, actions) {
+      let bar = messageElement.querySelector('.fcw-message-actions');
+      if (!bar) {
+        bar = Utils.createElement('div', 'fcw-message-actions');
+        bar.setAttribute('part', 'message-actions');
+        messageElement.appendChild(bar);
+        this.bindLongPress(messageElement);
+      }
+
+      actions.forEach(action => {
+        const button = Utils.createElement('button', `fcw-message-action fcw-action-${action.name}`, action.icon);
+        button.type = 'button';
+        button.title = action.label;
+        button.setAttribute('aria-label', action.label);
+        button.addEventListener('click', () => action.onClick(button));
+        bar.appendChild(button);
+      });
+    },
+
+    /**
+     * Remove one action button from a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string} name - Action name
+     */
+    removeMessageAction(messageElement, name) {
+      const button = messageElement.querySelector(`.fcw-action-${name}`);
+      if (button) button.parentNode.removeChild(button);
+    },
+
+    /**
+     * Toggle the action bar of a message on a long press (private)
+     * @param {HTMLElement} messageElement - Message element
+     */
+    bindLongPress(messageElement) {
+      let timer = null;
+      const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+      };
+
+      messageElement.addEventListener('touchstart', e => {
+        if (e.target.closest('button, a, textarea, input')) return;
+        cancel();
+        timer = setTimeout(() => {
+          timer = null;
+          const container = messageElement.parentNode;
+          const visible = !messageElement.classList.contains('fcw-actions-visible');
+          // Only one message shows its actions at a time
+          if (container) {
+            container.querySelectorAll('.fcw-actions-visible').forEach(element => element.classList.remove('fcw-actions-visible'));
+          }
+          messageElement.classList.toggle('fcw-actions-visible', visible);
+        }, 500);
+      }, { passive: true });
+      ['touchend', 'touchmove', 'touchcancel'].forEach(type => {
+        messageElement.addEventListener(type, cancel, { passive: true });
+      });
+    },
+
+    /**
+     * Show which rating a message got
+     * @param {HTMLElement} messageElement - Message element
+     * @param {'up'|'down'|null} rating - Rating (null clears it)
+     */
+    setFeedbackState(messageElement, rating) {
+      ['up', 'down'].forEach(value => {
+        const button = messageElement.querySelector(`.fcw-action-${value}`);
+        if (button) button.setAttribute('aria-pressed', String(value === rating));
+      });
+    },
+
+    /**
+     * Replace the text of a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string} text - New text (markdown)
+     * @param {Object} [markdown] - Markdown options (see Utils.formatMarkdown)
+     */
+    setMessageText(messageElement, text, markdown = {}) {
+      const bubble = messageElement.querySelector('.fcw-bubble-text');
+      if (bubble) bubble.innerHTML = Utils.formatMarkdown(text, markdown);
+    },
+
+    /**
+     * Turn a message into an inline editor
+     * Enter saves, Shift+Enter adds a line and Escape cancels.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string} text - Current text
+     * @param {{labels: {edit: string, save: string, cancel: string}, onSave: function(string):void}} options - Labels and save handler
+     */
+    startEditing(messageElement, text, options) {
+      const bubble = messageElement.querySelector('.fcw-bubble-text');
+      if (!bubble || messageElement.classList.contains('fcw-editing')) return;
+
+      const form = Utils.createElement('form', 'fcw-edit-form');
+      const input = Utils.createElement('textarea', 'fcw-edit-input');
+      input.value = text;
+      input.rows = Math.min(6, text.split('\n').length + 1);
+      input.setAttribute('aria-label', options.labels.edit);
+
+      const buttons = Utils.createElement('div', 'fcw-edit-buttons');
+      const cancelBtn = buttons.appendChild(Utils.createElement('button', 'fcw-edit-cancel'));
+      cancelBtn.type = 'button';
+      cancelBtn.textContent = options.labels.cancel;
+      const saveBtn = buttons.appendChild(Utils.createElement('button', 'fcw-edit-save'));
+      saveBtn.type = 'submit';
+      saveBtn.textContent = options.labels.save;
+
+      const close = () => {
+        if (form.parentNode) form.parentNode.removeChild(form);
+        bubble.hidden = false;
+        messageElement.classList.remove('fcw-editing');
+      };
+
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        const value = input.value.trim();
+        if (!value) return;
+        close();
+        if (value !== text) options.onSave(value);
+      });
+      cancelBtn.addEventListener('click', close);
+      input.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+          // Cancel the edit without closing the chat window
+          e.stopPropagation();
+          close();
+        } else if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+          e.preventDefault();
+          if (typeof form.requestSubmit === 'function') {
+            form.requestSubmit();
+          } else {
+            form.dispatchEvent(new Event('submit', { cancelable: true }));
+          }
+        }
+      });
+
+      form.appendChild(input);
+      form.appendChild(buttons);
+      bubble.hidden = true;
+      messageElement.classList.add('fcw-editing');
+      messageElement.insertBefore(form, bubble.nextSibling);
+      input.focus();
+    },
+
+    /**
+     * Show an optional comment box under a rated message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {{labels: {placeholder: string, send: string, thanks: string}, onSubmit: function(string):void}} options - Labels and submit handler
+     */
+    showFeedbackComment(messageElement, options) {
+      const next = messageElement.nextSibling;
+      if (next && next.classList && next.classList.contains('fcw-feedback-comment')) return;
+
+      const form = Utils.createElement('form', 'fcw-feedback-comment');
+      const input = Utils.createElement('input', 'fcw-feedback-input');
+      input.type = 'text';
+      input.placeholder = options.labels.placeholder;
+      input.setAttribute('aria-label', options.labels.placeholder);
+      const sendBtn = Utils.createElement('button', 'fcw-feedback-send');
+      sendBtn.type = 'submit';
+      sendBtn.textContent = options.labels.send;
+      form.appendChild(input);
+      form.appendChild(sendBtn);
+
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        const comment = input.value.trim();
+        if (!comment) return;
+        const thanks = Utils.createElement('div', 'fcw-feedback-thanks');
+        thanks.textContent = options.labels.thanks;
+        form.parentNode.replaceChild(thanks, form);
+        options.onSubmit(comment);
+      });
+      input.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && form.parentNode) {
+          e.stopPropagation();
+          form.parentNode.removeChild(form);
+        }
+      });
+
+      messageElement.parentNode.insertBefore(form, next);
+      input.focus();
+    },
+
+    /**
+     * Add a message with file attachments (images render inline)
+     * @param {HTMLElement} messagesContainer - Message container
+     * @param {'user'|'bot'} sender - Sender
+     * @param {Array<{name: string, url?: string, mimeType?: string, size?: number}>} files - Files
+     * @param {{onImageClick: function(string, string):void, linkProtocols?: Array<string>}} options - Image click handler and allowed link protocols
+     * @returns {HTMLElement} Message element
+     */
+    addFileMessage(messagesContainer, sender, files, options) {
+      const messageElement = Utils.createElement('div', `fcw-message ${sender} file`);
+      files.forEach(file => {
+        messageElement.appendChild(this.createFileAttachment(file, options));
+      });
+      messagesContainer.appendChild(messageElement);
+      this.scrollToBottom(messagesContainer);
+      return messageElement;
+    },
+
+    /**
+     * Create the element for one attachment: a thumbnail for images, a (download) link for other files
+     * @param {{name: string, url?: string, mimeType?: string, size?: number}} file - File
+     * @param {{onImageClick: function(string, string):void, linkProtocols?: Array<string>, fileSizeUnits?: Array<string>}} options - Image click handler, allowed link protocols and size units
+     * @returns {HTMLElement} Attachment element
+     */
+    createFileAttachment(file, options) {
+      const protocols = options.linkProtocols || MarkdownRenderer.DEFAULT_LINK_PROTOCOLS;
+      // Object URLs come from the user's own files; other URLs become links only if their protocol is allowed
+      const href = file.url && (/^blob:/i.test(file.url) || MarkdownRenderer.isSafeUrl(file.url, protocols)) ?
+        file.url : null;
+      // Data URLs (base64 files from the workflow) may still play or render inline
+      const url = href || (file.url && /^data:/i.test(file.url) ? file.url : null);
+
+      if (url && Utils.isAudioFile(file)) {
+        const audio = Utils.createElement('div', 'fcw-file-audio');
+        const player = document.createElement('audio');
+        player.controls = true;
+        player.preload = 'metadata';
+        player.src = url;
+        audio.appendChild(player);
+        return audio;
+      }
+
+      if (url && Utils.isImageFile(file) && !/^data:image\/svg/i.test(url)) {
+        const image = Utils.createElement('button', 'fcw-file-image');
+        image.type = 'button';
+        image.title = file.name;
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = file.name;
+        img.loading = 'lazy';
+        image.appendChild(img);
+        image.addEventListener('click', () => options.onImageClick(url, file.name));
+        return image;
+      }
+
+      const size = typeof file.size === 'number' ? ` (${Utils.formatFileSize(file.size, options.fileSizeUnits)})` : '';
+      const attachment = Utils.createElement(href ? 'a' : 'div', 'fcw-file-message',
+        `<span class="fcw-file-icon">📎</span> ${Utils.escapeHtml(file.name)}${size}`);
+      if (href) {
+        attachment.href = href;
+        attachment.target = '_blank';
+        attachment.rel = 'noopener noreferrer';
+        attachment.setAttribute('download', file.name);
+      }
+      return attachment;
+    },
+
+    /**
+     * Show an image full size over the page until clicked or Escape is pressed
+     * @param {HTMLElement} root - Element to attach the overlay to
+     * @param {string} src - Image URL
+     * @param {string} alt - Image description
+     * @returns {function():void} Function that closes the overlay
+     */
+    openLightbox(root, src, alt) {
+      const overlay = Utils.createElement('div', 'fcw-lightbox');
+      overlay.setAttribute('role', 'dialog');
+      overlay.setAttribute('aria-label', alt);
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = alt;
+      overlay.appendChild(img);
+
+      const close = () => {
+        document.removeEventListener('keydown', onKeyDown);
+        if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+      };
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+      };
+
+      overlay.addEventListener('click', close);
+      document.addEventListener('keydown', onKeyDown);
+      root.appendChild(overlay);
+      return close;
+    },
+
+    /**
+     * Remove quick reply chips (they only apply to the latest bot message)
+     * @param {HTMLElement} messagesContainer - Message container
+     */
+    removeQuickReplies(messagesContainer) {
+      messagesContainer.querySelectorAll('.fcw-quick-replies').forEach(group => {
+        const row = group.parentNode;
+        row.removeChild(group);
+        if (!row.children.length && row.parentNode) {
+          row.parentNode.removeChild(row);
+        }
+      });
+    },
+
+    /**
+     * Scroll message container to bottom
+     * @param {HTMLElement} container - Container element
+     */
+    scrollToBottom(container) {
+      container.scrollTop = container.scrollHeight;
+    },
+
+    /**
+     * Remove loading message
+     * Messages sent while waiting are added below it, so it is not necessarily the last child.
+     * @param {HTMLElement} messagesContainer - Message container
+     */
+    removeLoadingMessage(messagesContainer) {
+      const loading = messagesContainer.querySelector('.fcw-loading');
+      const loadingMessage = loading && loading.closest('.fcw-message');
+      if (loadingMessage && loadingMessage.parentNode === messagesContainer) {
+        messagesContainer.removeChild(loadingMessage);
+      }
+    }
+  };
+
+  /**
+   * Resize management class
+   * Use ResizeManager.create() to get a resizer with its own state per widget instance.
+   */
+  const ResizeManager = {
+    isResizing: false,
+    resizeDirection: '',
+    startX: 0,
+    startY: 0,
+    startWidth: 0,
+    startHeight: 0,
+    startLeft: 0,
+    startRight: 0,
+    startTop: 0,
+    startBottom: 0,
+    resizeHandles: [],
+    _documentListeners: [],
+    _widget: null,
+    _onResizeEnd: null,
+
+    /**
+     * Create a resizer with its own state
+     * @param {function({width: number, height: number}):void} [onResizeEnd] - Called with the final size
+     * @returns {Object} Resizer
+     */
+    create(onResizeEnd = null) {
+      const resizer = Object.create(ResizeManager);
+      resizer.resizeHandles = [];
+      resizer._documentListeners = [];
+      resizer._onResizeEnd = onResizeEnd;
+      return resizer;
+    },
+
+    /**
+     * Create resize handles
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     * @param {string} [label] - Accessible name of the handles
+     */
+    createResizeHandles(widget, config, label = I18nManager.PACKS.en.resize) {
+      if (!config.resizable) return;
+
+      this._widget = widget;
+
+      // Create 8-directional resize handles
+      const handles = [
+        { direction: 'nw', cursor: 'nw-resize' }, // top-left
+        { direction: 'n', cursor: 'n-resize' },   // top
+        { direction: 'ne', cursor: 'ne-resize' }, // top-right
+        { direction: 'e', cursor: 'e-resize' },   // right
+        { direction: 'se', cursor: 'se-resize' }, // bottom-right
+        { direction: 's', cursor: 's-resize' },   // bottom
+        { direction: 'sw', cursor: 'sw-resize' }, // bottom-left
+        { direction: 'w', cursor: 'w-resize' }    // left
+      ];
+
+      // Only the corner facing away from the screen edge is in the tab order; the others still take arrow keys
+      const keyboardCorner = config.position === 'bottom-left' ? 'ne' : 'nw';
+
+      handles.forEach(handle => {
+        const handleElement = Utils.createElement('div', `fcw-resize-handle fcw-resize-${handle.direction}`);
+        handleElement.style.cursor = handle.cursor;
+        handleElement.dataset.direction = handle.direction;
+        handleElement.setAttribute('role', 'separator');
+        handleElement.setAttribute('aria-label', label);
+        handleElement.tabIndex = handle.direction === keyboardCorner ? 0 : -1;
+        widget.appendChild(handleElement);
+        this.resizeHandles.push(handleElement);
+      });
+
+      // Bind resize events
+      this.bindResizeEvents(widget, config);
+    },
+
+    /**
+     * Bind resize events
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     */
+    bindResizeEvents(widget, config) {
+      // Pointer events cover mouse, touch and pen; browsers without them fall back to mouse events
+      const usePointer = typeof window.PointerEvent === 'function';
+
+      this.resizeHandles.forEach(handle => {
+        if (usePointer) {
+          this.bindPointerEvents(handle, widget, config);
+        } else {
+          handle.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.startResize(e, widget, config, handle.dataset.direction);
+          });
+        }
+        handle.addEventListener('keydown', (e) => {
+          this.resizeWithKeyboard(e, widget, config, handle.dataset.direction);
+        });
+      });
+
+      if (usePointer) return;
+
+      this._addDocumentListener('mousemove', (e) => {
+        if (this.isResizing) {
+          this.handleResize(e, widget, config);
+        }
+      });
+
+      this._addDocumentListener('mouseup', () => {
+        this.stopResize();
+      });
+    },
+
+    /**
+     * Drive a resize handle with pointer events
+     * The handle captures the pointer, so moves outside the handle (or the page) still reach it.
+     * @param {HTMLElement} handle - Resize handle
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     */
+    bindPointerEvents(handle, widget, config) {
+      handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (typeof handle.setPointerCapture === 'function') {
+          handle.setPointerCapture(e.pointerId);
+        }
+        this.startResize(e, widget, config, handle.dataset.direction);
+      });
+
+      handle.addEventListener('pointermove', (e) => {
+        if (this.isResizing) {
+          this.handleResize(e, widget, config);
+        }
+      });
+
+      const endResize = (e) => {
+        if (typeof handle.hasPointerCapture === 'function' && handle.hasPointerCapture(e.pointerId)) {
+          handle.releasePointerCapture(e.pointerId);
+        }
+        this.stopResize();
+      };
+      handle.addEventListener('pointerup', endResize);
+      handle.addEventListener('pointercancel', endResize);
+    },
+
+    /**
+     * Add a document listener that is removed on destroy (private)
+     * @param {string} type - Event type
+     * @param {function(Event):void} listener - Listener
+     */
+    _addDocumentListener(type, listener) {
+      document.addEventListener(type, listener);
+      this._documentListeners.push({ type, listener });
+    },
+
+    /**
+     * Remove document listeners and handles
+     */
+    destroy() {
+      this.stopResize();
+      this._documentListeners.forEach(({ type, listener }) => {
+        document.removeEventListener(type, listener);
+      });
+      this._documentListeners = [];
+      this.resizeHandles = [];
+    },
+
+    /**
+     * Start resizing
+     * @param {MouseEvent|PointerEvent} e - Mouse or pointer event
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     * @param {string} direction - Resize direction
+     */
+    startResize(e, widget, config, direction) {
+      this.isResizing = true;
+      this.resizeDirection = direction;
+      this.startX = e.clientX;
+      this.startY = e.clientY;
+      this.startWidth = widget.offsetWidth;
+      this.startHeight = widget.offsetHeight;
+      
+      // Store initial position
+      const rect = widget.getBoundingClientRect();
+      this.startLeft = rect.left;
+      this.startRight = window.innerWidth - rect.right;
+      this.startTop = rect.top;
+      this.startBottom = window.innerHeight - rect.bottom;
+
+      document.body.style.cursor = this.getCursorForDirection(direction);
+      document.body.style.userSelect = 'none';
+    },
+
+    /**
+     * Handle resizing
+     * @param {MouseEvent|PointerEvent} e - Mouse or pointer event
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     */
+    handleResize(e, widget, config) {
+      if (!this.isResizing) return;
+
+      const deltaX = e.clientX - this.startX;
+      const deltaY = e.clientY - this.startY;
+
+      let newWidth = this.startWidth;
+      let newHeight = this.startHeight;
+      let newLeft = this.startLeft;
+      let newRight = this.startRight;
+
+      // Handle resizing by direction
+      switch (this.resizeDirection) {
+        case 'nw': // top-left
+          newWidth = this.startWidth - deltaX;
+          newHeight = this.startHeight - deltaY;
+          newLeft = this.startLeft + deltaX;
+          break;
+        case 'n': // top
+          newHeight = this.startHeight - deltaY;
+          break;
+        case 'ne': // top-right
+          newWidth = this.startWidth + deltaX;
+          newHeight = this.startHeight - deltaY;
+          newRight = this.startRight - deltaX;
+          break;
+        case 'e': // right
+          newWidth = this.startWidth + deltaX;
+          newRight = this.startRight - deltaX;
+          break;
+        case 'se': // bottom-right
+          newWidth = this.startWidth + deltaX;
+          newHeight = this.startHeight + deltaY;
+          newRight = this.startRight - deltaX;
+          break;
+        case 's': // bottom
+          newHeight = this.startHeight + deltaY;
+          break;
+        case 'sw': // bottom-left
+          newWidth = this.startWidth - deltaX;
+          newHeight = this.startHeight + deltaY;
+          newLeft = this.startLeft + deltaX;
+          break;
+        case 'w': // left
+          newWidth = this.startWidth - deltaX;
+          newLeft = this.startLeft + deltaX;
+          break;
+      }
+
+      // Enforce min/max size
+      newWidth = Math.max(config.minWidth, Math.min(config.maxWidth, newWidth));
+      newHeight = Math.max(config.minHeight, Math.min(config.maxHeight, newHeight));
+
+      // Update widget size
+      widget.style.width = newWidth + 'px';
+      widget.style.height = newHeight + 'px';
+
+      // Update position
+      const position = config.position === 'bottom-left' ? 'left' : 'right';
+      if (position === 'right') {
+        widget.style.right = newRight + 'px';
+      } else {
+        widget.style.left = newLeft + 'px';
+      }
+    },
+
+    /**
+     * Resize with arrow keys (Shift for bigger steps)
+     * Runs the same start/move/stop cycle as a mouse drag by the arrow's offset.
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     * @param {string} direction - Direction of the focused handle
+     */
+    resizeWithKeyboard(e, widget, config, direction) {
+      const step = e.shiftKey ? 50 : 10;
+      const offsets = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step]
+      };
+      const offset = offsets[e.key];
+      if (!offset) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.startResize({ clientX: 0, clientY: 0 }, widget, config, direction);
+      this.handleResize({ clientX: offset[0], clientY: offset[1] }, widget, config);
+      this.stopResize();
+    },
+
+    /**
+     * Apply a previously saved size, clamped to the configured limits
+     * @param {HTMLElement} widget - Widget element
+     * @param {Object} config - Configuration object
+     * @param {{width: number, height: number}} size - Saved size
+     */
+    applySize(widget, config, size) {
+      if (!size || !Number.isFinite(size.width) || !Number.isFinite(size.height)) return;
+
+      widget.style.width = Math.max(config.minWidth, Math.min(config.maxWidth, size.width)) + 'px';
+      widget.style.height = Math.max(config.minHeight, Math.min(config.maxHeight, size.height)) + 'px';
+    },
+
+    /**
+     * Get cursor for direction
+     * @param {string} direction - Resize direction
+     * @returns {string} CSS cursor value
+     */
+    getCursorForDirection(direction) {
+      const cursors = {
+        'nw': 'nw-resize',
+        'n': 'n-resize',
+        'ne': 'ne-resize',
+        'e': 'e-resize',
+        'se': 'se-resize',
+        's': 's-resize',
+        'sw': 'sw-resize',
+        'w': 'w-resize'
+      };
+      return cursors[direction] || 'default';
+    },
+
+    /**
+     * Stop resizing
+     */
+    stopResize() {
+      if (!this.isResizing) return;
+
+      this.isResizing = false;
+      document.body.style.cursor = '';
+      document.body.style.userSelect = '';
+
+      if (typeof this._onResizeEnd === 'function' && this._widget) {
+        this._onResizeEnd({ width: this._widget.offsetWidth, height: this._widget.offsetHeight });
+      }
+    }
+  };
+
+  /**
+   * API management class
+   */
+  const ApiManager = {
+
+    /**
+     * Extract reply from API response
+     * @param {Object} data - API response data
+     * @returns {string} Extracted reply
+     */
+    extractReply(data) {
+      if (typeof data === 'string') return data;
+      if (data && data.reply) return data.reply;
+      if (data && data.output) return data.output;
+      if (data && data.message) return data.message;
+      return '';
+    },
+
+    /**
+     * Fetch with a timeout and exponential-backoff retries
+     * Network errors, timeouts, 5xx and 429 responses are retried; Retry-After is respected.
+     * @param {string} url - Request URL
+     * @param {Object} requestInit - fetch() options
+     * @param {Object} options - Options ({ timeout, maxRetries, retryDelay, maxRetryDelay })
+     * @returns {Promise<Response>} Response of the last attempt
+     */
+    async fetchWithRetry(url, requestInit, options) {
+      for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < options.maxRetries;
+        let response;
+
+        try {
+          response = await this.fetchWithTimeout(url, requestInit, options.timeout);
+        } catch (error) {
+          // A request aborted by the caller is not retried
+          if (!canRetry || (requestInit.signal && requestInit.signal.aborted)) throw error;
+          await this.wait(this.getRetryDelay(attempt, null, options), requestInit.signal);
+          continue;
+        }
+
+        if (canRetry && (response.status >= 500 || response.status === 429)) {
+          // Retrying sooner than the server asked is what a 429 is meant to prevent: give the failure back instead
+          const retryAfter = this.getRetryAfter(response);
+          if (retryAfter !== null && retryAfter > options.maxRetryDelay) return response;
+          await this.wait(this.getRetryDelay(attempt, response, options), requestInit.signal);
+          continue;
+        }
+        return response;
+      }
+    },
+
+    /**
+     * Fetch with a timeout on the time until the response headers arrive
+     * @param {string} url - Request URL
+     * @param {Object} requestInit - fetch() options
+     * @param {number} timeout - Timeout (ms, 0 disables)
+     * @returns {Promise<Response>} Response
+     */
+    async fetchWithTimeout(url, requestInit, timeout) {
+      if (!timeout || typeof AbortController === 'undefined') {
+        return fetch(url, requestInit);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      // Forward the caller's abort; the listener stays so it can still cancel reading the body
+      const callerSignal = requestInit.signal;
+      if (callerSignal) {
+        if (callerSignal.aborted) controller.abort();
+        else callerSignal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+
+      try {
+        return await fetch(url, { ...requestInit, signal: controller.signal });
+      } catch (error) {
+        if (controller.signal.aborted && !(callerSignal && callerSignal.aborted)) {
+          const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+          timeoutError.name = 'TimeoutError';
+          throw timeoutError;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Read the Retry-After header of a response
+     * @param {Response|null} response - Failed response, if any
+     * @returns {number|null} Delay the server asks for (ms), or null if there is none
+     */
+    getRetryAfter(response) {
+      const retryAfter = response && response.headers.get('Retry-After');
+      if (!retryAfter) return null;
+
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+      return null;
+    },
+
+    /**
+     * Get the delay before the next retry
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {Response|null} response - Failed response, if any
+     * @param {Object} options - Options ({ retryDelay, maxRetryDelay })
+     * @returns {number} Delay (ms)
+     */
+    getRetryDelay(attempt, response, options) {
+      const retryAfter = this.getRetryAfter(response);
+      if (retryAfter !== null) return retryAfter;
+
+      // Exponential backoff with a little jitter so clients don't retry in lockstep
+      const backoff = Math.min(options.maxRetryDelay, options.retryDelay * Math.pow(2, attempt));
+      return backoff + Math.random() * options.retryDelay * 0.25;
+    },
+
+    /**
+     * Wait for a while
+     * @param {number} ms - Delay (ms)
+     * @param {AbortSignal} [signal] - Ends the wait early when aborted
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal = null) {
+      return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+          }, { once: true });
+        }
+      });
+    },
+
+    /**
+     * Build a multipart body: webhook fields as text parts and files as binary parts
+     * @param {Object} webhookData - Data in n8n webhook format (files carry their part name in `field`)
+     * @param {Array<File>} files - Files in the order of webhookData.files
+     * @returns {FormData} Form data
+     */
+    buildFormData(webhookData, files) {
+      const formData = new FormData();
+
+      Object.keys(webhookData).forEach(key => {
+        const value = webhookData[key];
+        if (value === undefined || value === null) return;
+        formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      });
+
+      (webhookData.files || []).forEach((entry, index) => {
+        if (files[index]) {
+          formData.append(entry.field || `file${index}`, files[index], entry.fileName);
+        }
+      });
+      return formData;
+    },
+
+    /**
+     * Ask the presign endpoint where to upload a file
+     * @param {string} endpoint - Presign endpoint
+     * @param {File} file - File to upload
+     * @param {string} sessionId - Session ID
+     * @param {function(string):Promise<Object>} [getHeaders] - Returns extra headers (e.g. authentication) for the body
+     * @returns {Promise<{uploadUrl: string, fileUrl?: string, key?: string, method?: string, headers?: Object, fields?: Object}>} Upload target
+     */
+    async requestUploadTarget(endpoint, file, sessionId, getHeaders = null) {
+      const body = JSON.stringify({
+        sessionId,
+        fileName: file.name,
+        mimeType: file.type || 'application/octet-stream',
+        fileSize: file.size
+      });
+      const extraHeaders = getHeaders ? await getHeaders(body) : {};
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+        body
+      });
+      if (!response.ok) {
+        throw new Error(`Presign request failed with status ${response.status}`);
+      }
+
+      const target = await response.json();
+      if (!target || !target.uploadUrl) {
+        throw new Error('Presign response has no uploadUrl');
+      }
+      return target;
+    },
+
+    /**
+     * Upload a file to a pre-signed URL, reporting progress
+     * Uses XMLHttpRequest because fetch() has no upload progress events.
+     * @param {Object} target - Upload target from requestUploadTarget
+     * @param {File} file - File to upload
+     * @param {function(number):void} onProgress - Called with the uploaded fraction (0-1)
+     * @returns {Promise<void>}
+     */
+    uploadFile(target, file, onProgress) {
+      return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const headers = target.headers || {};
+        xhr.open(target.method || (target.fields ? 'POST' : 'PUT'), target.uploadUrl);
+
+        Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]));
+
+        let body = file;
+        if (target.fields) {
+          // Pre-signed POST (e.g. S3 policy): policy fields first, file last
+          body = new FormData();
+          Object.keys(target.fields).forEach(name => body.append(name, target.fields[name]));
+          body.append('file', file);
+        } else if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+          xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+        }
+
+        xhr.upload.addEventListener('progress', (e) => {
+          if (e.lengthComputable) onProgress(e.loaded / e.total);
+        });
+        xhr.addEventListener('load', () => {
+          if (xhr.status >= 200 && xhr.status < 300) {
+            onProgress(1);
+            resolve();
+          } else {
+            reject(new Error(`Upload failed with status ${xhr.status}`));
+          }
+        });
+        xhr.addEventListener('error', () => reject(new Error('Upload failed')));
+        xhr.addEventListener('abort', () => reject(new Error('Upload aborted')));
+        xhr.send(body);
+      });
+    },
+
+    /**
+     * Parse a response body as JSON, keeping non-JSON bodies as text
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|string>} Parsed data
+     */
+    async parseBody(response) {
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    },
+
+    /**
+     * Turn fetch() headers of any form into a plain object with lower-case names
+     * @param {Object|Headers|Array<Array<string>>} [headers] - Headers from requestInit
+     * @returns {Object} Headers
+     */
+    normalizeHeaders(headers) {
+      const normalized = {};
+      new Headers(headers || {}).forEach((value, name) => {
+        normalized[name] = value;
+      });
+      return normalized;
+    },
+
+    /**
+     * Run beforeSend hooks in order; each may mutate its arguments or return replacements
+     * @param {Array<Function>} hooks - beforeSend hooks
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {Object} requestInit - fetch() options
+     * @returns {Promise<{webhookData: Object, requestInit: Object}>} Final request data
+     */
+    async runBeforeSend(hooks, webhookData, requestInit) {
+      for (const hook of hooks) {
+        const result = await hook(webhookData, requestInit);
+        if (result && typeof result === 'object') {
+          if (result.webhookData) webhookData = result.webhookData;
+          if (result.requestInit) requestInit = result.requestInit;
+        }
+      }
+      return { webhookData, requestInit };
+    },
+
+    /**
+     * Run afterReceive hooks in order; each may return transformed data
+     * @param {Array<Function>} hooks - afterReceive hooks
+     * @param {Response} response - Fetch response
+     * @param {Object|string} data - Parsed response body
+     * @returns {Promise<Object|string>} Final data
+     */
+    async runAfterReceive(hooks, response, data) {
+      for (const hook of hooks) {
+        const result = await hook(response, data);
+        if (result !== undefined) data = result;
+      }
+      return data;
+    },
+
+    /**
+     * Extract the ID the workflow gave its reply
+     * @param {Object} data - API response data or stream frame
+     * @returns {string|null} Message ID
+     */
+    extractMessageId(data) {
+      return data && typeof data === 'object' && typeof data.messageId === 'string' && data.messageId ? data.messageId : null;
+    },
+
+    /**
+     * Extract rich response blocks from API response
+     * @param {Object} data - API response data
+     * @returns {Array<Object>} Blocks (quickReplies, buttons, card, carousel)
+     */
+    extractBlocks(data) {
+      if (data && Array.isArray(data.blocks)) {
+        return data.blocks.filter(block => block && typeof block === 'object');
+      }
+      return [];
+    },
+
+    /**
+     * Extract files from API response
+     * Entries may be URL strings or objects ({ url | data, fileName | name, mimeType, fileSize | size }).
+     * @param {Object} data - API response data
+     * @returns {Array<{name: string, url: string, mimeType?: string, size?: number}>} Files
+     */
+    extractFiles(data) {
+      if (!data || !Array.isArray(data.files)) return [];
+
+      return data.files.map(entry => {
+        if (typeof entry === 'string') entry = { url: entry };
+        if (!entry || typeof entry !== 'object') return null;
+
+        const url = entry.url || entry.data;
+        if (typeof url !== 'string' || !url) return null;
+
+        const name = entry.fileName || entry.name ||
+          decodeURIComponent(url.startsWith('data:') ? '' : url.split(/[?#]/)[0].split('/').pop()) || 'file';
+        const size = parseInt(entry.fileSize || entry.size, 10);
+        const mimeType = entry.mimeType || (url.match(/^data:([^;,]+)/) || [])[1];
+
+        return { name, url, ...(mimeType && { mimeType }), ...(size >= 0 && { size }) };
+      }).filter(Boolean);
+    },
+
+    /**
+     * Parse one line of a streamed response
+     * Supports n8n NDJSON frames ({type: 'item', content}) and SSE "data:" lines
+     * @param {string} line - Raw line
+     * @returns {{type: string, content: string, blocks?: Array<Object>, messageId?: string}|null} Parsed chunk, or null if the line carries nothing
+     */
+    parseStreamLine(line) {
+      let payload = line.replace(/\r$/, '');
+      if (!payload.trim()) return null;
+
+      const isSse = payload.startsWith('data:');
+      if (isSse) {
+        // Per the SSE spec only a single leading space is stripped
+        payload = payload.slice(5).replace(/^ /, '');
+        if (payload.trim() === '[DONE]') return { type: 'end', content: '' };
+      } else if (payload.startsWith(':') || /^(event|id|retry):/.test(payload)) {
+        // SSE comments and metadata fields
+        return null;
+      }
+
+      let frame;
+      try {
+        frame = JSON.parse(payload);
+      } catch (error) {
+        // Non-JSON SSE data is plain text; other lines may be part of a pretty-printed JSON body
+        return isSse ? { type: 'item', content: payload } : null;
+      }
+
+      if (typeof frame === 'string') return { type: 'item', content: frame };
+      if (!frame || typeof frame !== 'object') return null;
+
+      const chunk = this.parseStreamFrame(frame);
+      // Any frame (e.g. n8n's begin frame) may carry the reply's ID
+      const messageId = this.extractMessageId(frame);
+      if (messageId) return { ...(chunk || { type: 'meta', content: '' }), messageId };
+      return chunk;
+    },
+
+    /**
+     * Turn a parsed JSON frame of a stream into a chunk
+     * @param {Object} frame - Frame object
+     * @returns {{type: string, content: string, blocks?: Array<Object>, files?: Array<Object>}|null} Chunk, or null if the frame carries nothing
+     */
+    parseStreamFrame(frame) {
+      switch (frame.type) {
+        case 'item':
+          return { type: 'item', content: typeof frame.content === 'string' ? frame.content : '' };
+        case 'error':
+          return { type: 'error', content: frame.content || 'Stream error' };
+        case 'begin':
+        case 'end':
+          return { type: frame.type, content: '' };
+        default: {
+          const reply = this.extractReply(frame);
+          const blocks = this.extractBlocks(frame);
+          const files = this.extractFiles(frame);
+          if (!reply && !blocks.length && !files.length) return null;
+          return { type: 'item', content: reply ? String(reply) : '', blocks, files };
+        }
+      }
+    },
+
+    /**
+     * Read a streamed response body
+     * @param {Response} response - Fetch response with a readable body
+     * @param {function(string, string):void} onToken - Called with each token and the text so far
+     * @returns {Promise<{text: string, blocks: Array<Object>, files: Array<Object>, data: Object|null, messageId: string|null}>} Full reply text,
+     *   rich blocks, files, the parsed body when the webhook answered with plain JSON instead of a stream, and the reply's ID if the workflow sent one
+     */
+    async readStream(response, onToken) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let raw = '';
+      let text = '';
+      let blocks = [];
+      let files = [];
+      let messageId = null;
+
+      const handleLine = (line) => {
+        const chunk = this.parseStreamLine(line);
+        if (!chunk) return;
+        if (chunk.type === 'error') throw new Error(chunk.content);
+        if (chunk.messageId) messageId = chunk.messageId;
+        if (chunk.blocks) blocks = blocks.concat(chunk.blocks);
+        if (chunk.files) files = files.concat(chunk.files);
+        if (chunk.type === 'item' && chunk.content) {
+          text += chunk.content;
+          onToken(chunk.content, text);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const decoded = decoder.decode(value, { stream: true });
+        raw += decoded;
+        buffer += decoded;
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      const rest = decoder.decode();
+      raw += rest;
+      buffer += rest;
+      if (buffer) handleLine(buffer);
+
+      // A body that is one JSON document (and not a lone stream frame) is a regular response
+      let data = null;
+      try {
+        data = JSON.parse(raw);
+      } catch (error) {
+        // A real stream (several frames) or not JSON at all
+      }
+      if (!data || typeof data !== 'object' || ['begin', 'item', 'end', 'error'].includes(data.type)) {
+        data = null;
+      }
+
+      // The webhook did not stream: fall back to a regular JSON body
+      if (data && !text && !blocks.length && !files.length) {
+        text = this.extractReply(data);
+        blocks = this.extractBlocks(data);
+        files = this.extractFiles(data);
+      }
+
+      return { text, blocks, files, data, messageId: messageId || this.extractMessageId(data) };
+    }
+  };
+
+  /**
+   * Request authentication: bearer tokens from a host-provided getToken() and HMAC request signatures
+   */
+  const AuthManager = {
+    DEFAULTS: {
+      getToken: null, // async () => token string or { token, expiresAt (ms timestamp), signingKey }
+      scheme: 'Bearer', // Authorization scheme ('' sends the bare token)
+      sign: false, // Add an HMAC-SHA256 signature of `${timestamp}.${body}`
+      signingKey: undefined, // HMAC key, unless getToken() returns a signingKey
+      signatureHeader: 'X-Signature',
+      timestampHeader: 'X-Timestamp'
+    },
+
+    // Refresh tokens this long before they expire (ms)
+    EXPIRY_MARGIN: 30000,
+
+    /**
+     * Merge the auth option with the defaults
+     * @param {Object} [auth] - Auth option
+     * @returns {Object|null} Auth config, or null when authentication is off
+     */
+    resolveConfig(auth) {
+      if (!auth || typeof auth !== 'object') return null;
+      return { ...this.DEFAULTS, ...auth };
+    },
+
+    /**
+     * Normalize the result of getToken()
+     * @param {string|Object} result - Token string or { token, expiresAt, signingKey }
+     * @returns {{token: string|null, expiresAt: number|null, signingKey: string|undefined}} Credentials
+     */
+    normalizeToken(result) {
+      if (typeof result === 'string') return { token: result, expiresAt: null, signingKey: undefined };
+      if (!result || typeof result !== 'object') return { token: null, expiresAt: null, signingKey: undefined };
+      return {
+        token: result.token || null,
+        expiresAt: Number.isFinite(result.expiresAt) ? result.expiresAt : null,
+        signingKey: result.signingKey
+      };
+    },
+
+    /**
+     * Check whether cached credentials are still usable
+     * @param {Object|null} credentials - Credentials from normalizeToken
+     * @returns {boolean} True if they can be used without calling getToken() again
+     */
+    isValid(credentials) {
+      if (!credentials) return false;
+      return credentials.expiresAt === null || credentials.expiresAt - this.EXPIRY_MARGIN > Date.now();
+    },
+
+    /**
+     * Sign a message with HMAC-SHA256
+     * @param {string} key - Secret key
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Hex-encoded signature
+     */
+    async hmacSha256(key, message) {
+      if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Request signing requires the Web Crypto API (secure context)');
+      }
+
+      const encoder = new TextEncoder();
+      const cryptoKey = await window.crypto.subtle.importKey(
+        'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+      );
+      const signature = await window.crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+      return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Build the authentication headers of a request
+     * Multipart bodies are not signed; their signature covers the timestamp only.
+     * @param {Object} auth - Auth config
+     * @param {Object|null} credentials - Credentials from normalizeToken
+     * @param {*} body - Request body
+     * @returns {Promise<Object>} Headers
+     */
+    async buildHeaders(auth, credentials, body) {
+      const headers = {};
+      if (credentials && credentials.token) {
+        headers.Authorization = auth.scheme ? `${auth.scheme} ${credentials.token}` : credentials.token;
+      }
+
+      if (auth.sign) {
+        const key = (credentials && credentials.signingKey) || auth.signingKey;
+        if (!key) throw new Error('auth.sign requires a signingKey');
+
+        const timestamp = String(Date.now());
+        headers[auth.timestampHeader] = timestamp;
+        headers[auth.signatureHeader] = await this.hmacSha256(key, `${timestamp}.${typeof body === 'string' ? body : ''}`);
+      }
+      return headers;
+    },
+
+    /**
+     * Normalize an identity passed to identify()
+     * @param {Object|null} user - { userId, name, email, metadata }
+     * @returns {Object|null} Identity without empty fields, or null to clear it
+     */
+    normalizeIdentity(user) {
+      if (!user || typeof user !== 'object') return null;
+
+      const identity = {};
+      ['userId', 'name', 'email', 'metadata'].forEach(field => {
+        if (user[field] !== undefined && user[field] !== null) identity[field] = user[field];
+      });
+      return Object.keys(identity).length ? identity : null;
+    }
+  };
+
+  /**
+   * Human handoff helpers (live agent channel over polling or WebSocket)
+   */
+  const HandoffManager = {
+    // Connection attempts that may close before opening before the WebSocket gives way to polling
+    MAX_SOCKET_FAILURES: 3,
+
+    /**
+     * Read the handoff flag of an API response
+     * @param {Object} data - API response data
+     * @returns {{agent: Object|null, url?: string, transport?: string}|null} Handoff info, or null if not requested
+     */
+    extractHandoff(data) {
+      if (!data || typeof data !== 'object' || !data.handoff) return null;
+
+      const info = typeof data.handoff === 'object' ? data.handoff : {};
+      return {
+        agent: info.agent || data.agent || null,
+        url: info.url,
+        transport: info.transport
+      };
+    },
+
+    /**
+     * Check whether an API response explicitly ends the handoff
+     * @param {Object} data - API response data
+     * @returns {boolean} True if the response has `handoff: false`
+     */
+    isHandoffEnded(data) {
+      return Boolean(data) && typeof data === 'object' && data.handoff === false;
+    },
+
+    /**
+     * Build the channel URL for a session
+     * @param {string} url - Configured endpoint
+     * @param {string} sessionId - Session ID
+     * @param {Object} [params] - Extra query parameters
+     * @param {boolean} [websocket] - Convert http(s) to ws(s)
+     * @returns {string} URL
+     */
+    buildUrl(url, sessionId, params = {}, websocket = false) {
+      const target = new URL(url, window.location.href);
+      if (websocket) {
+        target.protocol = target.protocol.replace(/^http/, 'ws');
+      }
+      target.searchParams.set('sessionId', sessionId);
+      Object.keys(params).forEach(key => {
+        if (params[key] !== undefined && params[key] !== null) {
+          target.searchParams.set(key, params[key]);
+        }
+      });
+      return target.toString();
+    },
+
+    /**
+     * Normalize a channel payload into a list of events
+     * Accepts a single event, an array of events or { messages, cursor, ended }
+     * @param {Object|Array|string} data - Payload
+     * @returns {{events: Array<Object>, cursor: *, ended: boolean}} Normalized payload
+     */
+    normalizePayload(data) {
+      if (typeof data === 'string') {
+        return { events: data ? [{ type: 'message', text: data }] : [], cursor: undefined, ended: false };
+      }
+      if (Array.isArray(data)) {
+        return { events: data, cursor: undefined, ended: false };
+      }
+      if (!data || typeof data !== 'object') {
+        return { events: [], cursor: undefined, ended: false };
+      }
+      if (Array.isArray(data.messages)) {
+        return { events: data.messages, cursor: data.cursor, ended: Boolean(data.ended) || data.handoff === false };
+      }
+      return { events: [data], cursor: data.cursor, ended: false };
+    },
+
+    /**
+     * Check whether an event ends the handoff
+     * @param {Object} event - Channel event
+     * @returns {boolean}
+     */
+    isEndEvent(event) {
+      return Boolean(event) && (event.type === 'end' || event.handoff === false);
+    },
+
+    /**
+     * Get the text of an agent message event
+     * @param {Object} event - Channel event
+     * @returns {string} Message text
+     */
+    getEventText(event) {
+      if (!event || typeof event !== 'object') return '';
+      if (event.type && event.type !== 'message') return '';
+      return event.text || ApiManager.extractReply(event) || '';
+    }
+  };
+
+  /**
+   * Conversation history persistence
+   */
+  const HistoryManager = {
+    /**
+     * Resolve the storage adapter from the persistHistory option
+     * @param {string|Object|boolean} option - 'localStorage', 'sessionStorage' or a custom adapter
+     * @returns {Object|null} Adapter with getItem/setItem/removeItem, or null if unavailable
+     */
+    resolveAdapter(option) {
+      if (option === 'localStorage' || option === 'sessionStorage') {
+        try {
+          // Accessing storage throws when it is blocked (e.g. disabled cookies)
+          return window[option] || null;
+        } catch (error) {
+          return null;
+        }
+      }
+      if (option && typeof option.getItem === 'function' && typeof option.setItem === 'function') {
+        return option;
+      }
+      return null;
+    },
+
+    /**
+     * Derived storage keys used by live instances
+     * @type {Set<string>}
+     */
+    claimedKeys: new Set(),
+
+    /**
+     * Derive the storage key of an instance without a storageKey
+     * Widgets on one apiUrl are told apart by their container selector, or by a session ID set in the config.
+     * @param {Object} config - Configuration object
+     * @param {string|null} fixedSessionId - Session ID from the config (not a generated one)
+     * @returns {string} Storage key
+     */
+    deriveKey(config, fixedSessionId) {
+      let key = `fcw-history:${config.apiUrl}`;
+      if (typeof config.container === 'string') {
+        key += `@${config.container}`;
+      } else if (fixedSessionId) {
+        key += `:${fixedSessionId}`;
+      }
+      return key;
+    },
+
+    /**
+     * Get the storage key of an instance
+     * Instances that still derive the same key are numbered in creation order as a last resort,
+     * so they don't overwrite each other's transcript.
+     * @param {Object} config - Configuration object
+     * @param {string|null} fixedSessionId - Session ID from the config (not a generated one)
+     * @returns {string} Storage key
+     */
+    claimKey(config, fixedSessionId) {
+      if (config.storageKey) return config.storageKey;
+
+      const base = this.deriveKey(config, fixedSessionId);
+      let key = base;
+      for (let number = 2; this.claimedKeys.has(key); number++) {
+        key = `${base}#${number}`;
+      }
+      this.claimedKeys.add(key);
+      return key;
+    },
+
+    /**
+     * Free a key taken by claimKey() when its instance is destroyed
+     * @param {string} key - Storage key
+     */
+    releaseKey(key) {
+      this.claimedKeys.delete(key);
+    },
+
+    /**
+     * Load stored history
+     * @param {Object} adapter - Storage adapter (sync or async)
+     * @param {string} key - Storage key
+     * @returns {Promise<{sessionId: string, messages: Array<Object>, handoff?: Object}|null>} Stored history
+     */
+    async load(adapter, key) {
+      const raw = await adapter.getItem(key);
+      if (!raw) return null;
+
+      const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      if (!data || typeof data.sessionId !== 'string' || !Array.isArray(data.messages)) {
+        return null;
+      }
+      return data;
+    },
+
+    /**
+     * Save history, keeping only the most recent messages
+     * @param {Object} adapter - Storage adapter (sync or async)
+     * @param {string} key - Storage key
+     * @param {{sessionId: string, messages: Array<Object>, handoff?: Object|null}} history - History to store, with the active handoff ({ url, transport, agent })
+     * @param {number} maxHistory - Maximum number of messages
+     */
+    async save(adapter, key, history, maxHistory) {
+      const stored = { sessionId: history.sessionId, messages: history.messages.slice(-maxHistory) };
+      if (history.handoff) stored.handoff = history.handoff;
+      await adapter.setItem(key, JSON.stringify(stored));
+    },
+
+    /**
+     * Remove stored history
+     * @param {Object} adapter - Storage adapter (sync or async)
+     * @param {string} key - Storage key
+     */
+    async clear(adapter, key) {
+      if (typeof adapter.removeItem === 'function') {
+        await adapter.removeItem(key);
+      } else {
+        await adapter.setItem(key, '');
+      }
+    }
+  };
+
+  /**
+   * Client-side image downscaling and re-encoding
+   */
+  const ImageManager = {
+    COMPRESSIBLE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    EXTENSIONS: { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' },
+
+    /**
+     * Check whether image processing is configured
+     * @param {Object} config - Configuration object
+     * @returns {boolean} True if images should be processed
+     */
+    isEnabled(config) {
+      return config.imageMaxDimension > 0 || this.COMPRESSIBLE_TYPES.includes(config.convertTo);
+    },
+
+    /**
+     * Downscale and re-encode an image through a canvas
+     * Drawing the decoded image drops its metadata, so EXIF orientation is baked into the pixels.
+     * @param {File} file - Image file
+     * @param {{maxDimension?: number, quality?: number, convertTo?: string}} options - Processing options
+     * @returns {Promise<File>} Processed file, or the original if it cannot or need not be processed
+     */
+    async compress(file, options) {
+      if (!this.COMPRESSIBLE_TYPES.includes(file.type)) return file;
+
+      const image = await this.decode(file);
+      const longestSide = Math.max(image.width, image.height);
+      const scale = options.maxDimension > 0 ? Math.min(1, options.maxDimension / longestSide) : 1;
+      const width = Math.max(1, Math.round(image.width * scale));
+      const height = Math.max(1, Math.round(image.height * scale));
+      const type = this.COMPRESSIBLE_TYPES.includes(options.convertTo) ? options.convertTo : file.type;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      if (type === 'image/jpeg') {
+        // JPEG has no alpha channel; transparent pixels would turn black
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+      }
+      context.drawImage(image, 0, 0, width, height);
+      if (typeof image.close === 'function') image.close();
+
+      const blob = await this.toBlob(canvas, type, options.quality);
+      if (!blob) return file;
+
+      // Re-encoding at the same size and type only helps if it is smaller
+      if (scale === 1 && blob.type === file.type && blob.size >= file.size) return file;
+
+      const name = blob.type === file.type ? file.name : this.renameForType(file.name, blob.type);
+      return new File([blob], name, {
+        type: blob.type,
+        lastModified: file.lastModified
+      });
+    },
+
+    /**
+     * Decode an image file, applying its EXIF orientation
+     * @param {File} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+     */
+    async decode(file) {
+      if (typeof createImageBitmap === 'function') {
+        try {
+          return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+          // Older browsers reject the options argument; fall back to an <img>
+        }
+      }
+
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+          URL.revokeObjectURL(url);
+          resolve(image);
+        };
+        image.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error(`Could not decode ${file.name}`));
+        };
+        image.src = url;
+      });
+    },
+
+    /**
+     * Encode canvas contents
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {string} type - Target MIME type
+     * @param {number} quality - Quality for lossy formats (0-1)
+     * @returns {Promise<Blob|null>} Encoded image (browsers without WebP encoding return PNG)
+     */
+    toBlob(canvas, type, quality) {
+      return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    },
+
+    /**
+     * Replace a file name's extension to match a MIME type
+     * @param {string} name - File name
+     * @param {string} type - MIME type
+     * @returns {string} File name
+     */
+    renameForType(name, type) {
+      const extension = this.EXTENSIONS[type];
+      if (!extension) return name;
+      const base = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+      return `${base}.${extension}`;
+    }
+  };
+
+  /**
+   * Voice input: speech-to-text through the Web Speech API or audio recording through MediaRecorder
+   */
+  const VoiceManager = {
+    RECORDING_TYPES: ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'],
+
+    /**
+     * Get the browser's speech recognition constructor
+     * @returns {Function|null} SpeechRecognition constructor, or null if unsupported
+     */
+    getRecognition() {
+      return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    },
+
+    /**
+     * Check whether audio can be recorded
+     * @returns {boolean} True if getUserMedia and MediaRecorder are available
+     */
+    canRecord() {
+      return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    },
+
+    /**
+     * Get the file extension for a recording's MIME type
+     * @param {string} type - MIME type without parameters (e.g. 'audio/webm')
+     * @returns {string} Extension without the dot
+     */
+    getExtension(type) {
+      const subtype = type.split('/')[1];
+      return subtype === 'mp4' ? 'm4a' : subtype;
+    },
+
+    /**
+     * Check whether an allowedFileTypes list accepts any format the recorder may produce
+     * @param {Array<string>} allowedFileTypes - Allowed MIME types and extensions
+     * @returns {boolean} True if recordings can be attached
+     */
+    acceptsRecordings(allowedFileTypes) {
+      return this.RECORDING_TYPES.some(recordingType => {
+        const type = recordingType.split(';')[0];
+        const file = { name: `voice-message.${this.getExtension(type)}`, type, size: 0 };
+        return Utils.validateFile(file, { maxFileSize: Infinity, allowedFileTypes }).valid;
+      });
+    },
+
+    /**
+     * Pick the voice mode this browser supports
+     * @param {'auto'|'speech'|'recording'} mode - Configured mode
+     * @param {boolean} [canSendRecordings=true] - Whether recordings may be attached (file upload enabled and audio allowed)
+     * @returns {'speech'|'recording'|null} Usable mode, or null if voice input is unavailable
+     */
+    resolveMode(mode, canSendRecordings = true) {
+      const speech = !!this.getRecognition();
+      const recording = canSendRecordings && this.canRecord();
+      if (mode === 'speech') return speech ? 'speech' : null;
+      if (mode === 'recording') return recording ? 'recording' : null;
+      return speech ? 'speech' : (recording ? 'recording' : null);
+    },
+
+    /**
+     * Start transcribing speech
+     * @param {string} lang - Recognition language
+     * @param {{onText: function(string):void, onError: function(Error):void, onEnd: function(boolean):void}} handlers - Called with the transcript so far, on errors, and when listening ends (with whether it was cancelled)
+     * @returns {{stop: function():void, cancel: function():void}} Session controls
+     */
+    startRecognition(lang, handlers) {
+      const Recognition = this.getRecognition();
+      const recognition = new Recognition();
+      let cancelled = false;
+
+      recognition.lang = lang;
+      recognition.interimResults = true;
+      recognition.continuous = false;
+
+      recognition.onresult = (e) => {
+        handlers.onText(Array.from(e.results).map(result => result[0].transcript).join(''));
+      };
+      recognition.onerror = (e) => {
+        // Silence and our own abort() are not failures
+        if (e.error !== 'aborted' && e.error !== 'no-speech') {
+          handlers.onError(new Error(`Speech recognition error: ${e.error}`));
+        }
+      };
+      recognition.onend = () => handlers.onEnd(cancelled);
+      recognition.start();
+
+      return {
+        stop: () => recognition.stop(),
+        cancel: () => {
+          cancelled = true;
+          recognition.abort();
+        }
+      };
+    },
+
+    /**
+     * Start recording audio from the microphone
+     * @param {{onEnd: function(File|null):void}} handlers - Called with the recording, or null if it was cancelled or empty
+     * @returns {Promise<{stop: function():void, cancel: function():void}>} Session controls (resolves once the microphone is granted)
+     */
+    async startRecording(handlers) {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = typeof MediaRecorder.isTypeSupported === 'function' ?
+        this.RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) : undefined;
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      let cancelled = false;
+
+      recorder.addEventListener('dataavailable', (e) => {
+        if (e.data && e.data.size) chunks.push(e.data);
+      });
+      recorder.addEventListener('stop', () => {
+        // Release the microphone (turns off the browser's recording indicator)
+        stream.getTracks().forEach(track => track.stop());
+        if (cancelled || chunks.length === 0) {
+          handlers.onEnd(null);
+          return;
+        }
+
+        const type = (recorder.mimeType || mimeType || 'audio/webm').split(';')[0];
+        handlers.onEnd(new File(chunks, `voice-message-${Date.now()}.${this.getExtension(type)}`, { type }));
+      });
+      recorder.start();
+
+      const stop = () => {
+        if (recorder.state !== 'inactive') recorder.stop();
+      };
+      return {
+        stop,
+        cancel: () => {
+          cancelled = true;
+          stop();
+        }
+      };
+    },
+
+    /**
+     * Format a duration as m:ss
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+  };
+
+  /**
+   * Reading replies aloud through the Web Speech API (speechSynthesis)
+   */
+  const TextToSpeechManager = {
+    /**
+     * Check whether speech synthesis is available
+     * @returns {boolean} True if supported
+     */
+    isSupported() {
+      return !!window.speechSynthesis && typeof window.SpeechSynthesisUtterance === 'function';
+    },
+
+    /**
+     * Find a voice by name or voiceURI, falling back to one matching the language
+     * @param {string} [name] - Voice name or voiceURI
+     * @param {string} lang - BCP 47 language tag
+     * @returns {SpeechSynthesisVoice|null} Voice, or null to use the browser default
+     */
+    findVoice(name, lang) {
+      // Chrome loads voices asynchronously; an empty list means the default voice
+      const voices = window.speechSynthesis.getVoices() || [];
+      if (name) {
+        const named = voices.find(voice => voice.name === name || voice.voiceURI === name);
+        if (named) return named;
+      }
+      const base = lang.toLowerCase().split('-')[0];
+      return voices.find(voice => voice.lang.toLowerCase() === lang.toLowerCase()) ||
+        voices.find(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+        null;
+    },
+
+    /**
+     * Speak text, interrupting anything currently being spoken
+     * @param {string} text - Plain text
+     * @param {{voice?: string, lang: string, rate?: number}} options - Voice options
+     * @param {function():void} onEnd - Called when speech finishes, fails or is interrupted
+     * @returns {SpeechSynthesisUtterance} Utterance
+     */
+    speak(text, options, onEnd) {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = options.lang;
+      utterance.rate = options.rate || 1;
+      const voice = this.findVoice(options.voice, options.lang);
+      if (voice) utterance.voice = voice;
+      utterance.onend = onEnd;
+      utterance.onerror = onEnd;
+
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+      return utterance;
+    },
+
+    /**
+     * Stop speaking
+     */
+    stop() {
+      window.speechSynthesis.cancel();
+    }
+  };
+
+  /**
+   * Original sizes of images that were compressed before upload, keyed by the compressed file
+   * @type {WeakMap<File, number>}
+   */
+  const originalSizes = new WeakMap();
+
+  /**
+   * Files sent as binary parts in multipart mode, keyed by the webhookData they belong to
+   * (kept outside webhookData so hooks, events and retries see plain JSON data)
+   * @type {WeakMap<Object, Array<File>>}
+   */
+  const binaryAttachments = new WeakMap();
+
+  /**
+   * Attachments a user text message was sent with, keyed by the message element
+   * (the edit action sends them again with the new text)
+   * @type {WeakMap<HTMLElement, {files: Array<Object>, binaries?: Array<File>}>}
+   */
+  const sentAttachments = new WeakMap();
+
+  /**
+   * Markdown source of rendered text messages, keyed by the message element
+   * (used by the copy and edit actions; the bubble only holds the rendered HTML)
+   * @type {WeakMap<HTMLElement, string>}
+   */
+  const messageSources = new WeakMap();
+
+  /**
+   * Counter used to build unique instance root IDs
+   * @type {number}
+   */
+  let instanceCounter = 0;
+
+  /**
+   * Chat widget instance prototype
+   * Every instance created by FloatingChatWidget.create() gets its own DOM, styles, session and state.
+   */
+  const WidgetInstance = {
+    _id: '',
+    _config: {},
+    _elements: {},
+    _isOpen: false,
+    _onUserRequest: null,
+    _attachedFiles: [],
+    _resizer: null,
+    _destroyed: false,
+    _history: null,
+    _storageKey: null,
+    _historyReady: null,
+    _sessionIdFromConfig: false,
+    _identity: null,
+    _challenge: null,
+    _submitting: false,
+    _inFlight: 0,
+    _requestChain: null,
+    _generation: 0,
+    _abortController: null,
+    _typing: null,
+    _sentTimes: [],
+    _cooldownUntil: 0,
+    _lastReply: null,
+    _auth: null,
+    _credentials: null,
+    _credentialsPending: null,
+    _locale: I18nManager.DEFAULT_LOCALE,
+    _t: I18nManager.createTranslator(I18nManager.DEFAULT_LOCALE),
+    _eventHandlers: {},
+    _interceptors: { beforeSend: [], afterReceive: [] },
+    _offlineQueue: [],
+    _windowListeners: [],
+    _handoff: null,
+    _uploading: false,
+    _voice: null,
+    _voiceMode: null,
+    _speaking: null,
+    _colorSchemeQuery: null,
+    _colorSchemeListener: null,
+    _mount: null,
+    _shadowRoot: null,
+
+    /**
+     * Initialize chat widget
+     * @param {Object} config - User configuration options
+     */
+    init(config = {}) {
+      if (this._destroyed) return;
+
+      // Wait for DOM if not ready
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.init(config));
+        return;
+      }
+      
+      this._config = { ...DEFAULT_CONFIG, ...config };
+      this._sessionIdFromConfig = Boolean(this._config.sessionId);
+
+      this._auth = AuthManager.resolveConfig(this._config.auth);
+      if (this._config.user) this.identify(this._config.user);
+
+      this._locale = I18nManager.resolveLocale(this._config.locale);
+      this._t = I18nManager.createTranslator(this._locale, this._config.messages);
+      
+      // Auto-generate session ID if not provided
+      if (!this._config.sessionId) {
+        this._config.sessionId = Utils.generateSessionId();
+      }
+
+      // History and the panel size are stored under the instance's key
+      if (this._config.persistHistory || this._config.persistSize) {
+        const fixedSessionId = this._sessionIdFromConfig ? this._config.sessionId : null;
+        this._storageKey = HistoryManager.claimKey(this._config, fixedSessionId);
+        if (this._storageKey !== this._config.storageKey &&
+            this._storageKey !== HistoryManager.deriveKey(this._config, fixedSessionId)) {
+          // Numbers follow creation order, which may change between page loads
+          this._debug(`Another widget stores its data under the same key, using ${this._storageKey}; set storageKey to keep them apart`);
+        }
+      }
+
+      // Set up history persistence (opt-in)
+      if (this._config.persistHistory) {
+        const adapter = HistoryManager.resolveAdapter(this._config.persistHistory);
+        if (adapter) {
+          this._history = { adapter, key: this._storageKey, messages: [] };
+        } else {
+          this._debug('History storage is not available');
+        }
+      }
+      
+      try {
+        this._createMount();
+        this._createStyles();
+        this._createWidget();
+        this._bindEvents();
+        
+        // Show welcome message
+        this._showWelcomeMessage();
+
+        // Restore previous conversation
+        this._historyReady = this._restoreHistory();
+      } catch (error) {
+        console.error('[FloatingChatWidget] Initialization error:', error);
+        // Don't leave a half-built widget behind; its public methods become no-ops
+        this.destroy();
+      }
+    },
+
+    /**
+     * Subscribe to a widget event
+     * Events: open, close, messageSent, messageReceived, error, fileAttached, resize
+     * @param {string} event - Event name
+     * @param {function(Object):void} handler - Handler called with the event payload
+     * @returns {Object} This instance (chainable)
+     */
+    on(event, handler) {
+      if (typeof handler !== 'function') return this;
+      (this._eventHandlers[event] = this._eventHandlers[event] || []).push({ handler, once: false });
+      return this;
+    },
+
+    /**
+     * Subscribe to a widget event for a single call
+     * @param {string} event - Event name
+     * @param {function(Object):void} handler - Handler called with the event payload
+     * @returns {Object} This instance (chainable)
+     */
+    once(event, handler) {
+      if (typeof handler !== 'function') return this;
+      (this._eventHandlers[event] = this._eventHandlers[event] || []).push({ handler, once: true });
+      return this;
+    },
+
+    /**
+     * Unsubscribe from a widget event
+     * @param {string} event - Event name
+     * @param {function(Object):void} [handler] - Handler to remove (all handlers of the event if omitted)
+     * @returns {Object} This instance (chainable)
+     */
+    off(event, handler) {
+      if (!this._eventHandlers[event]) return this;
+      this._eventHandlers[event] = handler
+        ? this._eventHandlers[event].filter(entry => entry.handler !== handler)
+        : [];
+      return this;
+    },
+
+    /**
+     * Add request interceptors; they run after the ones from the config, in the order added
+     * @param {{beforeSend?: Function, afterReceive?: Function}} interceptors - Hooks to add
+     * @returns {Object} This instance (chainable)
+     */
+    use(interceptors = {}) {
+      ['beforeSend', 'afterReceive'].forEach(name => {
+        if (typeof interceptors[name] === 'function') {
+          this._interceptors[name].push(interceptors[name]);
+        }
+      });
+      return this;
+    },
+
+    /**
+     * Set user request callback
+     * In multipart mode the attached File objects are passed as the second argument.
+     * @param {function(Object, Array<File>):void} callback - Callback function
+     */
+    onUserRequest(callback) {
+      this._onUserRequest = callback;
+    },
+
+    /**
+     * Programmatically send bot reply
+     * @param {string} text - Reply text
+     * @param {Array<Object>} [blocks] - Rich response blocks (quickReplies, buttons, card, carousel)
+     * @param {Array<string|Object>} [files] - Files or image URLs to attach (same format as a webhook `files` array)
+     */
+    reply(text, blocks = [], files = []) {
+      if (this._destroyed) return;
+      const hasBlocks = Array.isArray(blocks) && blocks.length > 0;
+      const attachments = ApiManager.extractFiles({ files });
+      if (!hasBlocks && !attachments.length && !Utils.validateMessageLength(text, this._config.maxMessageLength)) {
+        return;
+      }
+      const messageElement = text ? this._addMessage('bot', text, { speak: true }) : null;
+      if (attachments.length) this._addFileMessage('bot', attachments);
+      if (hasBlocks) this._addBlocks(blocks);
+      this._recordMessage('bot', text, {
+        id: messageElement ? messageElement.dataset.messageId : Utils.generateMessageId(),
+        ...this._replyExtra(hasBlocks ? blocks : [], attachments)
+      });
+      this._emit('messageReceived', {
+        reply: text,
+        blocks: hasBlocks ? blocks : [],
+        files: attachments,
+        data: null,
+        webhookData: null
+      });
+    },
+
+    /**
+     * Toggle widget open/close
+     */
+    toggle() {
+      if (this._destroyed) return;
+      this._toggleWidget();
+    },
+
+    /**
+     * Open widget
+     */
+    open() {
+      if (!this._destroyed && !this._isOpen) {
+        this._toggleWidget();
+      }
+    },
+
+    /**
+     * Close widget
+     */
+    close() {
+      if (!this._destroyed && this._isOpen) {
+        this._toggleWidget();
+      }
+    },
+
+    /**
+     * Clear the stored history and the message list, keeping the current session
+     * @returns {Promise<void>}
+     */
+    async clearHistory() {
+      if (this._destroyed) return;
+      this._lastReply = null;
+      if (this._elements.messages) {
+        this._elements.messages.innerHTML = '';
+        this._showWelcomeMessage();
+      }
+      // Images and voice clips of the removed messages are no longer shown; pending attachments keep their previews
+      this._objectUrls.forEach((url, file) => {
+        if (!this._attachedFiles.includes(file)) this._revokeObjectUrl(file);
+      });
+
+      if (!this._history) return;
+      this._history.messages = [];
+      try {
+        await HistoryManager.clear(this._history.adapter, this._history.key);
+      } catch (error) {
+        this._debug('Failed to clear history:', error);
+      }
+    },
+
+    /**
+     * Start a new conversation with a fresh session ID
+     * @returns {Promise<void>}
+     */
+    async newConversation() {
+      if (this._destroyed) return;
+      this._config.sessionId = Utils.generateSessionId();
+      await this.clearHistory();
+    },
+
+    /**
+     * Stop the pending response: abort the request (and queued ones) and finish the typing animation
+     * @returns {Object} This instance (chainable)
+     */
+    stop() {
+      if (this._destroyed || !this._isGenerating()) return this;
+
+      const requesting = this._inFlight > 0;
+      // Queued requests check the generation before they start
+      this._generation++;
+      if (this._abortController) this._abortController.abort();
+      this._typing.forEach(typing => typing.finish());
+
+      if (requesting && this._config.sendCancelAction) this._notifyCancel();
+      return this;
+    },
+
+    /**
+     * Identify the signed-in user; the identity is sent as `user` with every request
+     * @param {{userId?: string, name?: string, email?: string, metadata?: Object}|null} user - Identity, or null to sign out
+     * @returns {Object} This instance (chainable)
+     */
+    identify(user) {
+      const identity = AuthManager.normalizeIdentity(user);
+      const previousUserId = this._identity && this._identity.userId;
+      this._identity = identity;
+
+      // Tokens are usually issued per user; a getToken() still running for the previous one is ignored
+      if ((identity && identity.userId) !== previousUserId) {
+        this._credentials = null;
+        this._credentialsPending = null;
+      }
+      return this;
+    },
+
+    /**
+     * Switch the theme at runtime
+     * @param {string|Object} theme - 'light', 'dark', 'auto' or a theme object ({ preset, ...variables })
+     * @returns {Object} This instance (chainable)
+     */
+    setTheme(theme) {
+      this._config.theme = theme;
+      if (!this._destroyed) this._applyTheme();
+      return this;
+    },
+
+    /**
+     * Remove the widget, its styles and its document listeners
+     */
+    destroy() {
+      // A widget whose init failed has been destroyed already
+      if (this._destroyed) return;
+      // Abort the pending request and typing so no reply lands in a removed widget
+      this.stop();
+      this._destroyed = true;
+      this._isOpen = false;
+
+      if (this._resizer) {
+        this._resizer.destroy();
+        this._resizer = null;
+      }
+
+      this._windowListeners.forEach(({ type, listener, target }) => {
+        target.removeEventListener(type, listener);
+      });
+      this._windowListeners = [];
+      this._offlineQueue = [];
+      if (this._storageKey) HistoryManager.releaseKey(this._storageKey);
+      this._endHandoff({ silent: true });
+      this._cancelVoice();
+      this._stopSpeaking();
+      if (this._colorSchemeQuery) {
+        Utils.onMediaChange(this._colorSchemeQuery, this._colorSchemeListener, false);
+        this._colorSchemeQuery = null;
+      }
+
+      if (this._mount && this._mount.parentNode) {
+        this._mount.parentNode.removeChild(this._mount);
+      }
+      this._mount = null;
+      this._shadowRoot = null;
+      StyleManager.removeStyles(this._id);
+      this._elements = {};
+      this._attachedFiles = [];
+      this._eventHandlers = {};
+      this._objectUrls.forEach(url => URL.revokeObjectURL(url));
+      this._objectUrls.clear();
+    },
+
+    /**
+     * Add a message to this instance's message list (private)
+     * @param {'user'|'bot'} sender - Sender
+     * @param {string} text - Message text
+     * @param {Object} options - Options ({ loading, streaming, author, speak, restored, id, remoteId, actions, editable, feedback })
+     * @returns {HTMLElement} Message element
+     */
+    _addMessage(sender, text, options = {}) {
+      const { speak, restored, id, remoteId, actions, editable, feedback, ...messageOptions } = options;
+      // Skip the typing animation for users who prefer reduced motion
+      if (messageOptions.streaming && Utils.prefersReducedMotion()) {
+        messageOptions.streaming = false;
+      }
+      const messageElement = MessageManager.addMessage(this._elements.messages, sender, text, {
+        ...messageOptions,
+        typingSpeed: this._config.typingSpeed,
+        markdown: this._markdownOptions(),
+        onTyping: typing => this._trackTyping(typing)
+      });
+
+      if (options.loading) return messageElement;
+
+      messageElement.dataset.messageId = id || Utils.generateMessageId();
+      if (remoteId) messageElement.dataset.remoteId = remoteId;
+      if (sender === 'bot' && text) {
+        this._addSpeechControl(messageElement, text, speak);
+        // Restored history and messages shown while closed are not news
+        if (this._isOpen && !restored) this._announce(text);
+      }
+      if (text && actions !== false) {
+        this._addMessageActions(messageElement, sender, text, feedback, editable);
+      }
+      return messageElement;
+    },
+
+    /**
+     * Add the configured copy, edit and feedback actions to a text message (private)
+     * @param {HTMLElement} messageElement - Message element
+     * @param {'user'|'bot'} sender - Sender
+     * @param {string} text - Message text (markdown)
+     * @param {'up'|'down'} [feedback] - Rating the message already got
+     * @param {boolean} [editable=true] - Whether a user message may be edited
+     */
+    _addMessageActions(messageElement, sender, text, feedback, editable = true) {
+      messageSources.set(messageElement, text);
+
+      const enabled = this._config.messageActions || [];
+      const actions = [];
+      if (enabled.includes('copy')) {
+        actions.push({ name: 'copy', icon: '⧉', label: this._t('copy'), onClick: button => this._copyMessage(messageElement, button) });
+      }
+      if (sender === 'user' && editable && enabled.includes('edit')) {
+        actions.push({ name: 'edit', icon: '✎', label: this._t('edit'), onClick: () => this._editMessage(messageElement) });
+      }
+      if (sender === 'bot' && enabled.includes('feedback')) {
+        actions.push(
+          { name: 'up', icon: '👍', label: this._t('goodResponse'), onClick: () => this._rateMessage(messageElement, 'up') },
+          { name: 'down', icon: '👎', label: this._t('badResponse'), onClick: () => this._rateMessage(messageElement, 'down') }
+        );
+      }
+      if (!actions.length) return;
+
+      MessageManager.addMessageActions(messageElement, actions);
+      if (feedback) MessageManager.setFeedbackState(messageElement, feedback);
+    },
+
+    /**
+     * Remember the latest bot reply so it can be regenerated; only that reply offers the action (private)
+     * @param {HTMLElement|null} element - Reply message element (null when there is nothing to regenerate)
+     * @param {Object} [webhookData] - Data of the request the reply answers
+     */
+    _setLastReply(element, webhookData) {
+      if (this._lastReply) MessageManager.removeMessageAction(this._lastReply.element, 'regenerate');
+      this._lastReply = null;
+      if (!element || !webhookData || !(this._config.messageActions || []).includes('regenerate')) return;
+
+      this._lastReply = { element, webhookData };
+      MessageManager.addMessageActions(element, [
+        { name: 'regenerate', icon: '↻', label: this._t('regenerate'), onClick: () => this._regenerate() }
+      ]);
+    },
+
+    /**
+     * Copy a message as plain text or markdown, depending on copyFormat (private)
+     * @param {HTMLElement} messageElement - Message element
+     * @param {HTMLElement} button - The copy button
+     */
+    async _copyMessage(messageElement, button) {
+      const source = messageSources.get(messageElement) || '';
+      const text = this._config.copyFormat === 'markdown' ? source : MarkdownRenderer.toPlainText(source);
+      if (!(await Utils.copyToClipboard(text))) return;
+
+      const label = button.title;
+      button.textContent = '✓';
+      button.title = this._t('copied');
+      this._announce(this._t('copied'));
+      setTimeout(() => {
+        button.textContent = '⧉';
+        button.title = label;
+      }, 1500);
+    },
+
+    /**
+     * Ask the workflow for another answer to the request of the latest reply (private)
+     * The reply and everything after it are removed; the request is sent again with action 'regenerate'.
+     */
+    async _regenerate() {
+      const lastReply = this._lastReply;
+      if (!lastReply || this._isWaiting()) return;
+      if (!this._checkRateLimit() || !(await this._passChallenge())) return;
+      // Another message may have been sent during the challenge
+      if (this._lastReply !== lastReply) return;
+
+      const replacesMessageId = lastReply.element.dataset.messageId;
+      this._removeMessagesFrom(lastReply.element, true);
+      this._truncateHistory(replacesMessageId, true);
+
+      // The challenge proof only goes with the first message of a session
+      const { challenge, ...previous } = lastReply.webhookData;
+      const webhookData = { ...previous, action: 'regenerate', replacesMessageId };
+      if (binaryAttachments.has(lastReply.webhookData)) {
+        binaryAttachments.set(webhookData, binaryAttachments.get(lastReply.webhookData));
+      }
+      this._dispatch(webhookData);
+    },
+
+    /**
+     * Edit a user message in place (private)
+     * @param {HTMLElement} messageElement - User message element
+     */
+    _editMessage(messageElement) {
+      if (this._isWaiting()) return;
+
+      MessageManager.startEditing(messageElement, messageSources.get(messageElement) || '', {
+        labels: { edit: this._t('edit'), save: this._t('save'), cancel: this._t('cancel') },
+        onSave: text => this._resendEdited(messageElement, text)
+      });
+    },
+
+    /**
+     * Send an edited user message again, dropping the replies to the old text (private)
+     * @param {HTMLElement} messageElement - User message element
+     * @param {string} text - New text
+     */
+    async _resendEdited(messageElement, text) {
+      if (this._isWaiting()) return;
+      if (!Utils.validateMessageLength(text, this._config.maxMessageLength)) {
+        this._showError(this._t('messageTooLong'));
+        return;
+      }
+      if (!this._checkRateLimit() || !(await this._passChallenge())) return;
+
+      const messageId = messageElement.dataset.messageId;
+      this._removeMessagesFrom(messageElement, false);
+      MessageManager.setMessageText(messageElement, text, this._markdownOptions());
+      MessageManager.setMessageState(messageElement, null);
+      messageSources.set(messageElement, text);
+      this._updateHistoryEntry(messageId, { text, edited: true });
+      this._truncateHistory(messageId, false);
+
+      // The attachments shown above the message go with the new text too
+      const attachments = sentAttachments.get(messageElement);
+      const webhookData = {
+        sessionId: this._config.sessionId,
+        action: 'sendMessage',
+        chatInput: text,
+        files: attachments ? attachments.files : [],
+        messageId,
+        edited: true
+      };
+      if (attachments && attachments.binaries) {
+        binaryAttachments.set(webhookData, attachments.binaries);
+      }
+      this._dispatch(webhookData, messageElement);
+    },
+
+    /**
+     * Remove a message's followers (and optionally the message) from the list (private)
+     * @param {HTMLElement} messageElement - Message element
+     * @param {boolean} inclusive - Whether to remove the message itself too
+     */
+    _removeMessagesFrom(messageElement, inclusive) {
+      const messages = this._elements.messages;
+      while (messageElement.nextSibling) {
+        messages.removeChild(messageElement.nextSibling);
+      }
+      if (inclusive) messages.removeChild(messageElement);
+    },
+
+    /**
+     * Rate a bot message with thumbs up/down and offer a comment box (private)
+     * @param {HTMLElement} messageElement - Bot message element
+     * @param {'up'|'down'} rating - Rating
+     */
+    _rateMessage(messageElement, rating) {
+      const button = messageElement.querySelector(`.fcw-action-${rating}`);
+      if (button && button.getAttribute('aria-pressed') === 'true') return;
+
+      const messageId = messageElement.dataset.messageId;
+      // The ID the workflow gave the reply, if any, lets it match the rating with its own logs
+      const remoteId = messageElement.dataset.remoteId;
+      const target = remoteId ? { messageId, remoteId } : { messageId };
+      MessageManager.setFeedbackState(messageElement, rating);
+      this._updateHistoryEntry(messageId, { feedback: rating });
+      this._sendFeedback({ ...target, rating });
+
+      if (this._config.feedbackComment) {
+        MessageManager.showFeedbackComment(messageElement, {
+          labels: {
+            placeholder: this._t('feedbackCommentPlaceholder'),
+            send: this._t('send'),
+            thanks: this._t('feedbackThanks')
+          },
+          onSubmit: comment => {
+            const current = messageElement.querySelector('.fcw-action-down[aria-pressed="true"]') ? 'down' : 'up';
+            this._sendFeedback({ ...target, rating: current, comment });
+          }
+        });
+      }
+    },
+
+    /**
+     * Emit a rating and send it to feedbackUrl (or apiUrl) (private)
+     * @param {{messageId: string, remoteId?: string, rating: 'up'|'down', comment?: string}} feedback - Feedback
+     */
+    _sendFeedback(feedback) {
+      this._emit('feedback', feedback);
+      this._postAction({ sessionId: this._config.sessionId, action: 'feedback', ...feedback }, this._config.feedbackUrl);
+    },
+
+    /**
+     * Keep track of a running typing animation so stop() can finish it (private)
+     * @param {{finish: function():void, done: Promise<void>}} typing - Typing controls
+     */
+    _trackTyping(typing) {
+      this._typing.add(typing);
+      this._updateSendButton();
+      typing.done.then(() => {
+        this._typing.delete(typing);
+        this._updateSendButton();
+      });
+    },
+
+    /**
+     * Add a play/stop control to a bot message when text-to-speech is on (private)
+     * @param {HTMLElement} messageElement - Bot message element
+     * @param {string} text - Message text (markdown)
+     * @param {boolean} [autoPlay] - Whether this is a new reply that may be read immediately
+     */
+    _addSpeechControl(messageElement, text, autoPlay) {
+      if (!this._config.textToSpeech || !TextToSpeechManager.isSupported()) return;
+
+      const button = Utils.createElement('button', 'fcw-speak-btn', '🔊');
+      button.type = 'button';
+      button.title = this._t('readAloud');
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => {
+        if (this._speaking && this._speaking.button === button) {
+          this._stopSpeaking();
+        } else {
+          this._speak(button, text);
+        }
+      });
+      messageElement.appendChild(button);
+
+      if (autoPlay && this._config.ttsAutoPlay) this._speak(button, text);
+    },
+
+    /**
+     * Read a message aloud (private)
+     * @param {HTMLElement} button - The message's play/stop control
+     * @param {string} text - Message text (markdown)
+     */
+    _speak(button, text) {
+      const plainText = MarkdownRenderer.toPlainText(text);
+      if (!plainText) return;
+
+      this._stopSpeaking();
+      const speaking = { button };
+      this._speaking = speaking;
+      button.textContent = '⏹';
+      button.title = this._t('stopReading');
+      button.setAttribute('aria-pressed', 'true');
+
+      speaking.utterance = TextToSpeechManager.speak(plainText, {
+        voice: this._config.ttsVoice,
+        lang: this._config.ttsLang || this._getSpeechLang(),
+        rate: this._config.ttsRate
+      }, () => this._resetSpeechControl(speaking));
+    },
+
+    /**
+     * Stop reading aloud, if this instance is speaking (private)
+     */
+    _stopSpeaking() {
+      const speaking = this._speaking;
+      if (!speaking) return;
+
+      this._resetSpeechControl(speaking);
+      TextToSpeechManager.stop();
+    },
+
+    /**
+     * Restore a message's play control once its speech ends (private)
+     * @param {Object} speaking - Speech state
+     */
+    _resetSpeechControl(speaking) {
+      // A cancelled utterance ends after the next one has started; leave the new one alone
+      if (this._speaking !== speaking) return;
+
+      this._speaking = null;
+      speaking.button.textContent = '🔊';
+      speaking.button.title = this._t('readAloud');
+      speaking.button.setAttribute('aria-pressed', 'false');
+    },
+
+    /**
+     * Get markdown rendering options from the config (private)
+     * @returns {Object} Options for Utils.formatMarkdown
+     */
+    _markdownOptions() {
+      return {
+        renderer: this._config.markdownRenderer,
+        sanitizer: this._config.sanitizeHtml,
+        linkProtocols: this._config.allowedLinkProtocols
+      };
+    },
+
+    /**
+     * Render rich response blocks (private)
+     * @param {Array<Object>} blocks - Blocks (quickReplies, buttons, card, carousel)
+     */
+    _addBlocks(blocks) {
+      MessageManager.addBlocks(this._elements.messages, blocks, {
+        onAction: (button) => this._handleBlockAction(button),
+        linkProtocols: this._config.allowedLinkProtocols
+      });
+    },
+
+    /**
+     * Send a clicked quick reply or button back to the webhook (private)
+     * @param {{label: string, postback?: *, value?: string}} button - Normalized button
+     */
+    async _handleBlockAction(button) {
+      if (!this._checkRateLimit() || !(await this._passChallenge())) return;
+
+      MessageManager.removeQuickReplies(this._elements.messages);
+
+      const messageElement = this._addMessage('user', button.label);
+      const messageId = messageElement.dataset.messageId;
+      this._recordMessage('user', button.label, { id: messageId });
+
+      const isPostback = button.postback !== undefined;
+      const webhookData = {
+        sessionId: this._config.sessionId,
+        action: isPostback ? 'postback' : 'sendMessage',
+        chatInput: isPostback ? button.label : button.value,
+        files: [],
+        messageId
+      };
+      if (isPostback) {
+        webhookData.value = button.postback;
+      }
+
+      this._dispatch(webhookData, messageElement);
+    },
+
+    /**
+     * Show the welcome message (private)
+     */
+    _showWelcomeMessage() {
+      const welcomeMessage = this._config.welcomeMessage === undefined ?
+        this._t('welcomeMessage') : this._config.welcomeMessage;
+      if (welcomeMessage) {
+        this._addMessage('bot', welcomeMessage, { actions: false });
+      }
+    },
+
+    /**
+     * Restore the stored session and messages (private)
+     */
+    async _restoreHistory() {
+      if (!this._history) return;
+
+      let stored = null;
+      try {
+        stored = await HistoryManager.load(this._history.adapter, this._history.key);
+      } catch (error) {
+        this._debug('Failed to load history:', error);
+      }
+      if (!stored || this._destroyed) return;
+
+      // An explicitly configured session ID wins over a stored conversation from another session
+      if (this._sessionIdFromConfig && stored.sessionId !== this._config.sessionId) return;
+
+      this._config.sessionId = stored.sessionId;
+      this._history.messages = stored.messages.slice(-this._config.maxHistory);
+      this._history.messages.forEach((entry, index) => {
+        this._renderHistoryEntry(entry, index === this._history.messages.length - 1);
+      });
+
+      // Reconnect to the agent the user was talking to before the reload
+      if (stored.handoff && stored.handoff.url) {
+        this._startHandoff(stored.handoff, { restored: true });
+      }
+    },
+
+    /**
+     * Render a stored message without animation (private)
+     * @param {Object} entry - History entry
+     * @param {boolean} isLast - Whether this is the latest message
+     */
+    _renderHistoryEntry(entry, isLast) {
+      if (entry.file) {
+        const messageElement = this._addFileMessage(entry.sender, [entry.file], entry.id);
+        // Entries saved before messages had IDs get one now
+        entry.id = messageElement.dataset.messageId;
+        return;
+      }
+      if (entry.text) {
+        const options = { restored: true, id: entry.id, remoteId: entry.remoteId, feedback: entry.feedback };
+        if (entry.agent) options.author = entry.agent;
+        // Files sent with the text are not stored, so editing could not send them again
+        const previous = this._elements.messages.lastElementChild;
+        if (entry.sender === 'user' && previous && previous.classList.contains('user') && previous.classList.contains('file')) {
+          options.editable = false;
+        }
+        entry.id = this._addMessage(entry.sender, entry.text, options).dataset.messageId;
+      }
+      if (Array.isArray(entry.files) && entry.files.length) {
+        this._addFileMessage(entry.sender, entry.files);
+      }
+      if (Array.isArray(entry.blocks)) {
+        // Quick replies are only offered for the latest message
+        const blocks = isLast ? entry.blocks : entry.blocks.filter(block => block.type !== 'quickReplies');
+        if (blocks.length) this._addBlocks(blocks);
+      }
+    },
+
+    /**
+     * Record a rendered message in the history (private)
+     * @param {'user'|'bot'} sender - Sender
+     * @param {string} text - Message text
+     * @param {Object} [extra] - Extra entry data ({ id, remoteId }, { file: { name, size, mimeType, url? } }, { blocks, files } or { agent })
+     */
+    _recordMessage(sender, text, extra) {
+      if (!this._history) return;
+
+      const entry = { sender, text: text || '', timestamp: Date.now(), ...extra };
+
+      this._history.messages.push(entry);
+      if (this._history.messages.length > this._config.maxHistory) {
+        this._history.messages.splice(0, this._history.messages.length - this._config.maxHistory);
+      }
+      this._saveHistory();
+    },
+
+    /**
+     * Change a recorded message (private)
+     * @param {string} messageId - Message ID
+     * @param {Object} changes - Entry fields to set
+     */
+    _updateHistoryEntry(messageId, changes) {
+      if (!this._history) return;
+
+      const entry = this._history.messages.find(message => message.id === messageId);
+      if (!entry) return;
+      Object.assign(entry, changes);
+      this._saveHistory();
+    },
+
+    /**
+     * Drop the recorded messages after a message (private)
+     * @param {string} messageId - Message ID
+     * @param {boolean} inclusive - Whether to drop the message itself too
+     */
+    _truncateHistory(messageId, inclusive) {
+      if (!this._history) return;
+
+      const index = this._history.messages.findIndex(message => message.id === messageId);
+      if (index === -1) return;
+      this._history.messages.splice(inclusive ? index : index + 1);
+      this._saveHistory();
+    },
+
+    /**
+     * Write the history to storage (private)
+     */
+    _saveHistory() {
+      const handoff = this._handoff;
+      HistoryManager.save(this._history.adapter, this._history.key, {
+        sessionId: this._config.sessionId,
+        messages: this._history.messages,
+        handoff: handoff ? { url: handoff.url, transport: handoff.transport, agent: handoff.agent } : null
+      }, this._config.maxHistory).catch(error => this._debug('Failed to save history:', error));
+    },
+
+    /**
+     * Get the hooks of one interceptor type: config hooks first, then ones added with use() (private)
+     * @param {'beforeSend'|'afterReceive'} name - Interceptor type
+     * @returns {Array<Function>} Hooks
+     */
+    _getHooks(name) {
+      return [].concat(this._config[name] || [], this._interceptors[name])
+        .filter(hook => typeof hook === 'function');
+    },
+
+    /**
+     * Call the handlers of an event (private)
+     * @param {string} event - Event name
+     * @param {Object} [payload] - Event payload
+     */
+    _emit(event, payload = {}) {
+      const entries = this._eventHandlers[event];
+      if (!entries || !entries.length) return;
+
+      this._eventHandlers[event] = entries.filter(entry => !entry.once);
+      entries.forEach(({ handler }) => {
+        try {
+          handler.call(this, payload);
+        } catch (error) {
+          console.error(`[FloatingChatWidget] Error in "${event}" handler:`, error);
+        }
+      });
+    },
+
+    /**
+     * Log debug output when debug mode is on (private)
+     * @param {...*} args - Values to log
+     */
+    _debug(...args) {
+      if (this._config.debug) {
+        console.log('[FloatingChatWidget]', ...args);
+      }
+    },
+
+    /**
+     * Create the root element the widget renders into (private)
+     * In shadow isolation mode the root lives inside a shadow root attached to a host element.
+     */
+    _createMount() {
+      const root = Utils.createElement('div', 'fcw-root');
+      const inline = this._config.displayMode === 'inline';
+      const parent = inline ? this._resolveContainer() : document.body;
+      if (inline) root.classList.add('fcw-inline');
+      root.lang = this._locale;
+      root.dir = this._config.direction === 'auto' ? I18nManager.getDirection(this._locale) : this._config.direction;
+
+      if (this._config.isolation === 'shadow' && typeof document.body.attachShadow === 'function') {
+        const host = Utils.createElement('div', 'fcw-host');
+        host.id = this._id;
+        this._shadowRoot = host.attachShadow({ mode: 'open' });
+        this._shadowRoot.appendChild(root);
+        this._mount = host;
+        // The host has to fill the container as well (:host styles reset it to inline)
+        if (inline) host.style.cssText = 'display: block; width: 100%; height: 100%;';
+      } else {
+        if (this._config.isolation === 'shadow') {
+          this._debug('Shadow DOM is not supported; falling back to isolation: none');
+        }
+        // The root's ID scopes this instance's styles
+        root.id = this._id;
+        this._mount = root;
+      }
+
+      parent.appendChild(this._mount);
+      this._elements.root = root;
+      this._applyTheme();
+      this._updateDisplayMode();
+    },
+
+    /**
+     * Find the element inline mode renders into (private)
+     * @returns {HTMLElement} Container element
+     */
+    _resolveContainer() {
+      const container = typeof this._config.container === 'string' ?
+        document.querySelector(this._config.container) : this._config.container;
+      if (!container || typeof container.appendChild !== 'function') {
+        throw new Error(`Container not found: ${this._config.container}`);
+      }
+      return container;
+    },
+
+    /**
+     * Switch between the floating panel and full screen (private)
+     * Full screen applies in fullscreen mode, and in floating mode at or below fullscreenBreakpoint.
+     */
+    _updateDisplayMode() {
+      const { displayMode, fullscreenBreakpoint } = this._config;
+      const fullscreen = displayMode === 'fullscreen' ||
+        (displayMode === 'floating' && fullscreenBreakpoint > 0 && window.innerWidth <= fullscreenBreakpoint);
+      this._elements.root.classList.toggle('fcw-fullscreen', fullscreen);
+      this._updateViewport();
+    },
+
+    /**
+     * Size the full screen panel to the visual viewport (private)
+     * Mobile keyboards shrink the visual viewport but not the layout viewport,
+     * so without this the input row ends up behind the keyboard.
+     */
+    _updateViewport() {
+      const root = this._elements.root;
+      const viewport = window.visualViewport;
+
+      if (!viewport || !root.classList.contains('fcw-fullscreen')) {
+        root.style.removeProperty('--fcw-viewport-height');
+        root.style.removeProperty('--fcw-viewport-top');
+        return;
+      }
+
+      root.style.setProperty('--fcw-viewport-height', `${viewport.height}px`);
+      root.style.setProperty('--fcw-viewport-top', `${viewport.offsetTop}px`);
+    },
+
+    /**
+     * Create widget styles (private)
+     */
+    _createStyles() {
+      if (this._shadowRoot) {
+        StyleManager.adoptStyles(this._shadowRoot, this._config);
+      } else {
+        StyleManager.createStyles(this._config, this._id);
+      }
+    },
+
+    /**
+     * Apply the configured theme to the root element (private)
+     */
+    _applyTheme() {
+      const theme = this._config.theme;
+      const query = this._watchColorScheme();
+      const scheme = StyleManager.resolveScheme(theme, !!(query && query.matches));
+
+      StyleManager.applyTheme(this._elements.root, StyleManager.resolveTheme(theme, scheme, this._config.themeColor));
+      this._elements.root.setAttribute('data-fcw-theme', scheme);
+    },
+
+    /**
+     * Follow the OS color scheme so 'auto' themes switch live (private)
+     * @returns {MediaQueryList|null} prefers-color-scheme query, or null if unsupported
+     */
+    _watchColorScheme() {
+      if (!this._colorSchemeQuery && typeof window.matchMedia === 'function') {
+        this._colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this._colorSchemeListener = () => this._applyTheme();
+        Utils.onMediaChange(this._colorSchemeQuery, this._colorSchemeListener, true);
+      }
+      return this._colorSchemeQuery;
+    },
+
+    /**
+     * Create widget DOM elements (private)
+     */
+    _createWidget() {
+      const root = this._elements.root;
+
+      const inline = this._config.displayMode === 'inline';
+
+      // Create bubble element (inline widgets are always open)
+      let bubble = null;
+      if (!inline) {
+        const bubbleIcon = this._shadowRoot && this._config.bubbleIcon === DEFAULT_CONFIG.bubbleIcon ?
+          StyleManager.SHADOW_BUBBLE_ICON : this._config.bubbleIcon;
+        bubble = Utils.createElement('button', 'fcw-bubble', bubbleIcon);
+        bubble.type = 'button';
+        bubble.setAttribute('part', 'bubble');
+        bubble.setAttribute('aria-expanded', 'false');
+        bubble.setAttribute('aria-controls', `${this._id}-panel`);
+        root.appendChild(bubble);
+      }
+      
+      // Translations may come from messages or addLocale(); escape them for attributes and markup
+      const label = key => Utils.escapeHtml(this._t(key));
+
+      // Create widget element
+      const fileButton = this._config.enableFileUpload ? 
+        `<button class="fcw-file-btn" part="file-button" type="button" title="${label('attachFiles')}" aria-label="${label('attachFiles')}">
+          <span aria-hidden="true">📎</span>
+          <input type="file" class="fcw-file-input" tabindex="-1" aria-hidden="true" accept="${this._config.allowedFileTypes.join(',')}" multiple />
+        </button>` : '';
+
+      // Voice input needs speech recognition or MediaRecorder support
+      // Recordings are sent as file attachments, so they also need file upload and an allowed audio type
+      const canSendRecordings = this._config.enableFileUpload && VoiceManager.acceptsRecordings(this._config.allowedFileTypes);
+      this._voiceMode = this._config.enableVoiceInput ?
+        VoiceManager.resolveMode(this._config.voiceMode, canSendRecordings) : null;
+      const voiceButton = this._voiceMode ?
+        `<button class="fcw-mic-btn" part="mic-button" type="button" title="${label('voiceInput')}" aria-pressed="false">🎤</button>` : '';
+      const voiceStatus = this._voiceMode ?
+        `<div class="fcw-voice-status">
+          <span class="fcw-voice-dot"></span>
+          <span class="fcw-voice-timer">0:00</span>
+          <button class="fcw-voice-cancel" type="button" title="${label('cancel')}">✕</button>
+        </div>` : '';
+
+      const placeholder = Utils.escapeHtml(this._config.placeholder || this._t('placeholder'));
+
+      const newConversationButton = this._history ?
+        `<button class="fcw-new-chat-btn" part="new-chat-button" type="button" title="${label('newConversation')}">↺</button>` : '';
+
+      const widget = Utils.createElement('div', 'fcw-widget', `
+        <div class="fcw-header" part="header">
+          <span class="fcw-header-title" part="title" id="${this._id}-title">${this._config.title}</span>
+          ${newConversationButton}
+          ${inline ? '' : `<button class="fcw-close-btn" part="close-button" type="button" title="${label('close')}">✕</button>`}
+        </div>
+        <div class="fcw-messages" part="messages"></div>
+        <div class="fcw-sr-only" aria-live="polite" aria-atomic="true"></div>
+        <div class="fcw-file-preview" style="display: none;"></div>
+        ${this._config.enableFileUpload ? `<div class="fcw-drop-zone">${label('dropFiles')}</div>` : ''}
+        <form class="fcw-input-row" part="input-row" autocomplete="off">
+          ${voiceStatus}
+          <input class="fcw-input" part="input" type="text" aria-label="${placeholder}" placeholder="${placeholder}" maxlength="${this._config.maxMessageLength}" />
+          ${fileButton}
+          ${voiceButton}
+          <button class="fcw-send-btn" part="send-button" type="submit" title="${label('send')}" aria-label="${label('send')}">➤</button>
+        </form>
+      `);
+      
+      widget.setAttribute('part', 'panel');
+      widget.id = `${this._id}-panel`;
+      // Inline widgets are part of the page; the floating panel is a dialog
+      widget.setAttribute('role', inline ? 'region' : 'dialog');
+      widget.setAttribute('aria-labelledby', `${this._id}-title`);
+      root.appendChild(widget);
+
+      if (bubble) {
+        bubble.setAttribute('aria-label', widget.querySelector('.fcw-header-title').textContent.trim() || this._t('openChat'));
+      }
+      
+      // Store element references
+      this._elements = {
+        root,
+        bubble,
+        widget,
+        messages: widget.querySelector('.fcw-messages'),
+        input: widget.querySelector('.fcw-input'),
+        form: widget.querySelector('.fcw-input-row'),
+        sendBtn: widget.querySelector('.fcw-send-btn'),
+        fileBtn: widget.querySelector('.fcw-file-btn'),
+        newChatBtn: widget.querySelector('.fcw-new-chat-btn'),
+        closeBtn: widget.querySelector('.fcw-close-btn'),
+        announcer: widget.querySelector('.fcw-sr-only'),
+        fileInput: widget.querySelector('.fcw-file-input'),
+        filePreview: widget.querySelector('.fcw-file-preview'),
+        dropZone: widget.querySelector('.fcw-drop-zone'),
+        micBtn: widget.querySelector('.fcw-mic-btn'),
+        voiceTimer: widget.querySelector('.fcw-voice-timer'),
+        voiceCancelBtn: widget.querySelector('.fcw-voice-cancel'),
+      };
+
+      // Initialize file attachments state (now supports multiple files)
+      this._attachedFiles = [];
+
+      // Create resize handles
+      if (inline) {
+        // The container decides the size; there is nothing to open, close or resize
+        widget.classList.add('open');
+        this._isOpen = true;
+        return;
+      }
+
+      this._resizer = ResizeManager.create(size => {
+        this._saveSize(size);
+        this._emit('resize', size);
+      });
+      this._resizer.createResizeHandles(widget, this._config, this._t('resize'));
+      this._restoreSize();
+    },
+
+    /**
+     * Get the storage adapter for the panel size (private)
+     * @returns {Object|null} Storage adapter, or null when size persistence is off
+     */
+    _getSizeStorage() {
+      const { persistSize, resizable } = this._config;
+      if (!resizable || !persistSize) return null;
+      return HistoryManager.resolveAdapter(persistSize === true ? 'localStorage' : persistSize);
+    },
+
+    /**
+     * Get the storage key of the panel size (private)
+     * @returns {string} Storage key
+     */
+    _getSizeKey() {
+      // Derived keys follow the history key, numbering included, so widgets on one apiUrl keep their own size
+      if (this._config.storageKey) return `fcw-size:${this._config.storageKey}`;
+      return this._storageKey.replace(/^fcw-history:/, 'fcw-size:');
+    },
+
+    /**
+     * Restore the size the user last resized the panel to (private)
+     */
+    async _restoreSize() {
+      const adapter = this._getSizeStorage();
+      if (!adapter) return;
+
+      try {
+        const raw = await adapter.getItem(this._getSizeKey());
+        if (!raw || this._destroyed) return;
+        const size = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        ResizeManager.applySize(this._elements.widget, this._config, size);
+      } catch (error) {
+        this._debug('Failed to restore size:', error);
+      }
+    },
+
+    /**
+     * Save the panel size after a resize (private)
+     * @param {{width: number, height: number}} size - New size
+     */
+    async _saveSize(size) {
+      const adapter = this._getSizeStorage();
+      if (!adapter) return;
+
+      try {
+        await adapter.setItem(this._getSizeKey(), JSON.stringify(size));
+      } catch (error) {
+        this._debug('Failed to save size:', error);
+      }
+    },
+
+    /**
+     * Bind DOM events (private)
+     */
+    _bindEvents() {
+      // Bubble click event
+      if (this._elements.bubble) {
+        this._elements.bubble.addEventListener('click', () => this._toggleWidget());
+        this._elements.closeBtn.addEventListener('click', () => this.close());
+      }
+
+      // Escape closes the panel; Tab stays inside it while it is open
+      this._elements.widget.addEventListener('keydown', (e) => {
+        if (this._config.displayMode === 'inline' || !this._isOpen) return;
+        if (e.key === 'Escape') {
+          // Let an open image lightbox close first
+          if (this._elements.root.querySelector('.fcw-lightbox')) return;
+          e.preventDefault();
+          this.close();
+        } else if (e.key === 'Tab') {
+          this._trapFocus(e);
+        }
+      });
+
+      // Switch to full screen below the breakpoint
+      if (this._config.displayMode === 'floating' && this._config.fullscreenBreakpoint > 0) {
+        this._addWindowListener('resize', () => this._updateDisplayMode());
+      }
+
+      // Fit the full screen panel to the visible area when the on-screen keyboard opens
+      if (this._config.displayMode !== 'inline' && window.visualViewport) {
+        const updateViewport = () => this._updateViewport();
+        this._addWindowListener('resize', updateViewport, window.visualViewport);
+        this._addWindowListener('scroll', updateViewport, window.visualViewport);
+      }
+
+      // New conversation button (shown when history persistence is enabled)
+      if (this._elements.newChatBtn) {
+        this._elements.newChatBtn.addEventListener('click', () => this.newConversation());
+      }
+      
+      // Form submit event
+      this._elements.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this._handleFormSubmit();
+      });
+
+      // The send button doubles as a stop button while a response is pending
+      this._elements.sendBtn.addEventListener('click', (e) => {
+        if (this._isGenerating()) {
+          e.preventDefault();
+          this.stop();
+        }
+      });
+      
+      // Input field key event
+      this._elements.input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          this._handleFormSubmit();
+        }
+      });
+
+      // Send queued messages once the connection is back
+      if (this._config.offlineQueue) {
+        this._addWindowListener('online', () => this._flushOfflineQueue());
+      }
+
+      // Voice input events (if supported)
+      if (this._elements.micBtn) {
+        this._elements.micBtn.addEventListener('click', () => this._toggleVoice());
+        this._elements.voiceCancelBtn.addEventListener('click', () => this._cancelVoice());
+        this._elements.form.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape' && this._voice) {
+            e.stopPropagation();
+            this._cancelVoice();
+          }
+        });
+      }
+
+      // File upload events (if enabled)
+      if (this._config.enableFileUpload && this._elements.fileInput) {
+        this._elements.fileInput.addEventListener('change', (e) => {
+          this._handleFileSelect(e);
+        });
+        // Keyboard activation of the button opens the (untabbable) file input
+        this._elements.fileBtn.addEventListener('click', (e) => {
+          if (e.target !== this._elements.fileInput) this._elements.fileInput.click();
+        });
+        this._bindFileDrop();
+
+        // Pasted screenshots and copied files
+        this._elements.input.addEventListener('paste', (e) => {
+          const files = Utils.getTransferFiles(e.clipboardData);
+          if (files.length === 0) return;
+          e.preventDefault();
+          this._addFiles(files);
+        });
+      }
+    },
+
+    /**
+     * Accept files dropped anywhere on the widget (private)
+     */
+    _bindFileDrop() {
+      const widget = this._elements.widget;
+      // dragenter/dragleave fire for every child element, so count the nesting depth
+      let dragDepth = 0;
+      const isFileDrag = e => !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+      const hideDropZone = () => {
+        dragDepth = 0;
+        widget.classList.remove('fcw-dragging');
+      };
+
+      widget.addEventListener('dragenter', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        widget.classList.add('fcw-dragging');
+      });
+      widget.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      });
+      widget.addEventListener('dragleave', (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) hideDropZone();
+      });
+      widget.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        hideDropZone();
+        this._addFiles(Utils.getTransferFiles(e.dataTransfer));
+      });
+    },
+
+    /**
+     * Start voice input, or finish it if it is running (private)
+     */
+    _toggleVoice() {
+      if (this._voice) {
+        // Still waiting for microphone permission: nothing to stop yet
+        if (this._voice.session) this._voice.session.stop();
+        return;
+      }
+      this._startVoice();
+    },
+
+    /**
+     * Start transcribing speech into the input or recording a voice message (private)
+     */
+    async _startVoice() {
+      if (this._uploading) return;
+
+      // Keep the microphone from picking up a reply being read aloud
+      this._stopSpeaking();
+
+      const input = this._elements.input;
+      const startedAt = Date.now();
+      const voice = { session: null, timer: null };
+      this._voice = voice;
+      this._setVoiceState(true);
+
+      voice.timer = setInterval(() => {
+        const elapsed = Date.now() - startedAt;
+        this._elements.voiceTimer.textContent = VoiceManager.formatDuration(elapsed);
+        if (this._config.maxRecordingDuration > 0 && elapsed >= this._config.maxRecordingDuration && voice.session) {
+          voice.session.stop();
+        }
+      }, 250);
+
+      try {
+        if (this._voiceMode === 'speech') {
+          // Dictation continues after any text already typed
+          const baseText = input.value.trim() ? `${input.value.trim()} ` : '';
+          voice.session = VoiceManager.startRecognition(this._getSpeechLang(), {
+            onText: (transcript) => {
+              input.value = (baseText + transcript).slice(0, this._config.maxMessageLength);
+            },
+            onError: (error) => {
+              this._showError(this._t('voiceInputFailed'));
+              this._emit('error', { error });
+            },
+            onEnd: (cancelled) => {
+              if (cancelled) input.value = baseText.trim();
+              this._finishVoice(voice);
+            }
+          });
+        } else {
+          voice.session = await VoiceManager.startRecording({
+            onEnd: (file) => {
+              this._finishVoice(voice);
+              if (file && !this._destroyed) this._sendVoiceMessage(file);
+            }
+          });
+          // Cancelled (or destroyed) while the permission prompt was open
+          if (this._voice !== voice) voice.session.cancel();
         }
-        .fcw-resize-sw {
-          bottom: -6px;
-          left: -6px;
-          cursor: sw-resize;
+      } catch (error) {
+        this._finishVoice(voice);
+        this._showError(this._t('microphoneUnavailable'));
+        this._emit('error', { error });
+      }
+    },
+
+    /**
+     * Cancel voice input without using what was said (private)
+     */
+    _cancelVoice() {
+      const voice = this._voice;
+      if (!voice) return;
+
+      if (voice.session) {
+        voice.session.cancel();
+      } else {
+        this._finishVoice(voice);
+      }
+    },
+
+    /**
+     * Reset the voice UI once a session ends (private)
+     * @param {Object} voice - Voice session state
+     */
+    _finishVoice(voice) {
+      clearInterval(voice.timer);
+      if (this._voice !== voice) return;
+
+      this._voice = null;
+      if (!this._destroyed) {
+        this._setVoiceState(false);
+        this._updateSendButton();
+      }
+    },
+
+    /**
+     * Toggle the listening/recording UI (private)
+     * @param {boolean} active - Whether voice input is running
+     */
+    _setVoiceState(active) {
+      const form = this._elements.form;
+      form.classList.toggle('fcw-voice-active', active);
+      form.classList.toggle('fcw-recording', active && this._voiceMode === 'recording');
+      this._elements.micBtn.setAttribute('aria-pressed', String(active));
+      this._elements.micBtn.title = this._t(active ? 'stopVoiceInput' : 'voiceInput');
+      this._elements.voiceTimer.textContent = VoiceManager.formatDuration(0);
+    },
+
+    /**
+     * Attach a recorded voice message and send it (private)
+     * @param {File} file - Recorded audio
+     */
+    async _sendVoiceMessage(file) {
+      const validation = Utils.validateFile(file, this._config, this._t);
+      if (!validation.valid) {
+        this._showError(`${file.name}: ${validation.error}`);
+        return;
+      }
+
+      // Finished while a reply is pending: keep it as an attachment for the next message
+      if (this._isWaiting()) {
+        if (this._uploading) {
+          this._showError(this._t('voiceMessageNotSent'));
+        } else {
+          this._attachFiles([file]);
         }
-        .fcw-resize-se {
-          bottom: -6px;
-          right: -6px;
-          cursor: se-resize;
+        return;
+      }
+
+      // Sent on its own: the typed text and pending attachments stay for the next message
+      await this._handleFormSubmit({ text: '', files: [file] });
+    },
+
+    /**
+     * Get the speech recognition language (private)
+     * @returns {string} BCP 47 language tag
+     */
+    _getSpeechLang() {
+      // An explicit locale wins over the page language; 'auto' only guessed it from the browser
+      const locale = this._config.locale && this._config.locale !== 'auto' ? this._locale : null;
+      return this._config.speechLang || locale || document.documentElement.lang || this._locale;
+    },
+
+    /**
+     * Keep Tab and Shift+Tab focus cycling inside the open panel (private)
+     * @param {KeyboardEvent} e - Tab keydown event
+     */
+    _trapFocus(e) {
+      const widget = this._elements.widget;
+      const focusable = Array.from(widget.querySelectorAll(
+        'button:not([disabled]), a[href], input:not([disabled]):not([tabindex="-1"]), audio[controls], [tabindex="0"]'
+      )).filter(element => element.getClientRects().length > 0);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = this._getActiveElement();
+
+      if (e.shiftKey && (active === first || !widget.contains(active))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Get the focused element, looking inside the shadow root in shadow isolation mode (private)
+     * @returns {Element|null} Focused element
+     */
+    _getActiveElement() {
+      return (this._shadowRoot || document).activeElement;
+    },
+
+    /**
+     * Announce a new bot message to screen readers (private)
+     * @param {string} text - Message text (markdown)
+     */
+    _announce(text) {
+      const announcer = this._elements.announcer;
+      if (!announcer) return;
+
+      // Clear first so a repeated message is announced again
+      announcer.textContent = '';
+      setTimeout(() => {
+        announcer.textContent = MarkdownRenderer.toPlainText(text);
+      }, 50);
+    },
+
+    /**
+     * Add a window listener that is removed on destroy (private)
+     * @param {string} type - Event type
+     * @param {function(Event):void} listener - Listener
+     * @param {EventTarget} [target=window] - Target (e.g. window.visualViewport)
+     */
+    _addWindowListener(type, listener, target = window) {
+      target.addEventListener(type, listener);
+      this._windowListeners.push({ type, listener, target });
+    },
+
+    /**
+     * Handle file selection (private) - supports multiple files
+     * @param {Event} e - File input change event
+     */
+    _handleFileSelect(e) {
+      const files = Array.from(e.target.files);
+      // Reset the input so picking the same file again still fires "change"
+      e.target.value = '';
+      this._addFiles(files);
+    },
+
+    /**
+     * Validate files and append them to the attachment list (private)
+     * Used by the file picker, drag-and-drop and clipboard paste.
+     * @param {Array<File>} files - Files to attach
+     * @returns {Promise<void>} Resolves once the files are attached
+     */
+    _addFiles(files) {
+      // Attachment indices are in use while files upload
+      if (files.length === 0 || this._uploading) return this._attachmentsReady;
+
+      // Chain so files keep their order even when image processing takes a while
+      // A failed batch is logged and skipped so it cannot block later attachments and sends
+      this._attachmentsReady = this._attachmentsReady
+        .then(() => Promise.all(files.map(file => this._prepareFile(file))))
+        .then(prepared => this._attachFiles(prepared))
+        .catch(error => this._debug('Failed to attach files:', error));
+      return this._attachmentsReady;
+    },
+
+    /**
+     * Downscale and re-encode an image when image processing is configured (private)
+     * @param {File} file - Selected file
+     * @returns {Promise<File>} File to attach
+     */
+    async _prepareFile(file) {
+      if (!ImageManager.isEnabled(this._config)) return file;
+
+      try {
+        const processed = await ImageManager.compress(file, {
+          maxDimension: this._config.imageMaxDimension,
+          quality: this._config.imageQuality,
+          convertTo: this._config.convertTo
+        });
+        if (processed !== file) {
+          originalSizes.set(processed, file.size);
+          this._debug(`Compressed ${file.name}: ${file.size} -> ${processed.size} bytes`);
+        }
+        return processed;
+      } catch (error) {
+        this._debug('Image processing failed, attaching the original:', error);
+        return file;
+      }
+    },
+
+    /**
+     * Append prepared files that pass validation (private)
+     * @param {Array<File>} files - Prepared files
+     */
+    _attachFiles(files) {
+      if (this._destroyed || this._uploading) return;
+
+      let added = 0;
+      for (const file of files) {
+        const validation = Utils.validateFile(file, this._config, this._t);
+        if (!validation.valid) {
+          this._showError(`${file.name}: ${validation.error}`);
+          continue;
+        }
+
+        // Skip files that are already attached
+        const duplicate = this._attachedFiles.some(attached =>
+          attached.name === file.name && attached.size === file.size && attached.lastModified === file.lastModified
+        );
+        if (duplicate) continue;
+
+        this._attachedFiles.push(file);
+        this._emit('fileAttached', { file });
+        added++;
+      }
+
+      if (added > 0) {
+        this._showFilePreview(this._attachedFiles);
+      }
+    },
+
+    /**
+     * Show file preview (private) - supports multiple files
+     * @param {Array<File>} files - Files to preview
+     */
+    _showFilePreview(files) {
+      const preview = this._elements.filePreview;
+      const sizeUnits = this._t('fileSizeUnits');
+      
+      // Create preview HTML for all files
+      let previewHTML = '<div class="fcw-files-container">';
+      files.forEach((file, index) => {
+        previewHTML += `
+          <div class="fcw-file-item" data-index="${index}">
+            <div class="fcw-file-info">
+              ${Utils.isImageFile(file) ?
+                `<img class="fcw-file-thumb" src="${this._getObjectUrl(file)}" alt="" />` :
+                '<span class="fcw-file-icon">📄</span>'}
+              <span>${Utils.escapeHtml(file.name)} (${originalSizes.has(file) ?
+                `${Utils.formatFileSize(originalSizes.get(file), sizeUnits)} → ` : ''}${Utils.formatFileSize(file.size, sizeUnits)})</span>
+            </div>
+            <button class="fcw-file-remove" data-index="${index}" type="button" aria-label="${Utils.escapeHtml(this._t('removeFile'))}">✕</button>
+            <div class="fcw-file-progress" style="display: none;"><div class="fcw-file-progress-bar"></div></div>
+          </div>
+        `;
+      });
+      previewHTML += '</div>';
+      
+      preview.innerHTML = previewHTML;
+      preview.style.display = 'block';
+
+      // Bind remove events for each file
+      const removeButtons = preview.querySelectorAll('.fcw-file-remove');
+      removeButtons.forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          const index = parseInt(e.target.dataset.index);
+          this._removeAttachedFile(index);
+        });
+      });
+    },
+
+    /**
+     * Show the upload progress of an attached file in the preview (private)
+     * @param {number} index - Index of the file
+     * @param {number} fraction - Uploaded fraction (0-1)
+     */
+    _setFileProgress(index, fraction) {
+      const item = this._elements.filePreview.querySelector(`.fcw-file-item[data-index="${index}"]`);
+      if (!item) return;
+
+      const progress = item.querySelector('.fcw-file-progress');
+      progress.style.display = 'block';
+      progress.firstElementChild.style.width = `${Math.round(fraction * 100)}%`;
+    },
+
+    /**
+     * Get an object URL for a local file, reused by its preview and message thumbnails (private)
+     * @param {File} file - Local file
+     * @returns {string} Object URL
+     */
+    _getObjectUrl(file) {
+      if (!this._objectUrls.has(file)) {
+        this._objectUrls.set(file, URL.createObjectURL(file));
+      }
+      return this._objectUrls.get(file);
+    },
+
+    /**
+     * Release the object URL of a local file (private)
+     * @param {File} file - Local file
+     */
+    _revokeObjectUrl(file) {
+      if (file && this._objectUrls.has(file)) {
+        URL.revokeObjectURL(this._objectUrls.get(file));
+        this._objectUrls.delete(file);
+      }
+    },
+
+    /**
+     * Encode, describe or upload attached files according to uploadMode (private)
+     * @param {Array<File>} files - Attached files
+     * @returns {Promise<Array<Object>>} File entries for webhookData.files
+     */
+    async _processFiles(files) {
+      const mode = this._config.uploadMode;
+      const processedFiles = [];
+
+      for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        const entry = Utils.describeFile(file);
+
+        if (mode === 'multipart') {
+          // Binary part name; the file itself is attached when the request is built
+          entry.field = `file${index}`;
+        } else if (mode === 'presigned') {
+          Object.assign(entry, await this._uploadPresigned(file, index));
+        } else {
+          entry.data = await Utils.fileToBase64(file);
         }
+        processedFiles.push(entry);
+      }
+
+      return processedFiles;
+    },
+
+    /**
+     * Upload one file through the presign endpoint (private)
+     * @param {File} file - File to upload
+     * @param {number} index - Index of the file in the preview
+     * @returns {Promise<{url: string, key?: string}>} Reference to the uploaded file
+     */
+    async _uploadPresigned(file, index) {
+      if (!this._config.presignEndpoint) {
+        throw new Error('presignEndpoint is required for presigned uploads');
+      }
+
+      const target = await ApiManager.requestUploadTarget(
+        this._config.presignEndpoint, file, this._config.sessionId, body => this._getAuthHeaders(body)
+      );
+      this._setFileProgress(index, 0);
+      await ApiManager.uploadFile(target, file, fraction => this._setFileProgress(index, fraction));
+
+      const reference = { url: target.fileUrl || target.uploadUrl.split('?')[0] };
+      if (target.key) reference.key = target.key;
+      return reference;
+    },
+
+    /**
+     * Remove attached file (private)
+     * @param {number} index - Index of file to remove (if not provided, removes all)
+     */
+    _removeAttachedFile(index = null) {
+      if (index !== null) {
+        // Remove specific file; its thumbnail is no longer needed
+        const [removed] = this._attachedFiles.splice(index, 1);
+        this._revokeObjectUrl(removed);
         
-        /* Edge handles */
-        .fcw-resize-n, .fcw-resize-s {
-          left: 12px;
-          right: 12px;
-          height: 8px;
+        // Update preview or hide if no files left
+        if (this._attachedFiles.length > 0) {
+          this._showFilePreview(this._attachedFiles);
+        } else {
+          this._elements.filePreview.style.display = 'none';
+          if (this._elements.fileInput) {
+            this._elements.fileInput.value = '';
+          }
         }
-        .fcw-resize-n {
-          top: -4px;
-          cursor: n-resize;
+      } else {
+        // Remove all files
+        this._attachedFiles = [];
+        this._elements.filePreview.style.display = 'none';
+        if (this._elements.fileInput) {
+          this._elements.fileInput.value = '';
+        }
+      }
+    },
+
+    /**
+     * Handle form submit (private) - supports multiple files
+     * @param {{text: string, files: Array<File>}} [message] - Message to send instead of the input and attachments
+     */
+    async _handleFormSubmit(message) {
+      // One message at a time: Enter pressed again while a message is being sent is ignored
+      if (this._isWaiting()) return;
+
+      this._submitting = true;
+      this._updateSendButton();
+      try {
+        await this._submitMessage(message);
+      } finally {
+        this._submitting = false;
+        this._updateSendButton();
+      }
+    },
+
+    /**
+     * Send the typed message and attached files, or a message of its own such as a voice recording (private)
+     * @param {{text: string, files: Array<File>}} [message] - Message to send instead of the input and attachments
+     */
+    async _submitMessage(message) {
+      // Make sure a restored session and pending attachments are in place before sending
+      await this._historyReady;
+      await this._attachmentsReady;
+
+      const fromInput = !message;
+      const text = fromInput ? this._elements.input.value.trim() : message.text;
+      const files = fromInput ? this._attachedFiles.slice() : message.files;
+      const hasFiles = files.length > 0;
+      
+      if ((!text && !hasFiles) || this._uploading) return;
+      
+      // Validate message length
+      if (text && !Utils.validateMessageLength(text, this._config.maxMessageLength)) {
+        this._showError(this._t('messageTooLong'));
+        return;
+      }
+
+      // Keep the typed message when sending is refused
+      if (!this._checkRateLimit() || !(await this._passChallenge())) return;
+      
+      // The last rendered user message carries the delivery state
+      let messageElement = null;
+
+      // Process files according to uploadMode (base64, multipart or presigned)
+      let processedFiles = [];
+      if (hasFiles) {
+        this._uploading = true;
+        this._elements.filePreview.classList.add('fcw-uploading');
+        try {
+          processedFiles = await this._processFiles(files);
+        } catch (error) {
+          this._showError(this._t('fileProcessingFailed'));
+          this._emit('error', { error });
+          return;
+        } finally {
+          this._uploading = false;
+          this._elements.filePreview.classList.remove('fcw-uploading');
+        }
+
+        // Show file messages in chat
+        files.forEach((file, index) => {
+          const stored = { name: file.name, size: file.size, mimeType: processedFiles[index].mimeType };
+          // Uploaded files keep their URL so restored history can still show them
+          if (processedFiles[index].url) stored.url = processedFiles[index].url;
+
+          const url = Utils.isImageFile(file) || Utils.isAudioFile(file) ? this._getObjectUrl(file) : stored.url;
+          messageElement = this._addFileMessage('user', [{ ...stored, url }]);
+          this._recordMessage('user', '', { id: messageElement.dataset.messageId, file: stored });
+        });
+      }
+
+      // Pending quick replies no longer apply once the user answers
+      MessageManager.removeQuickReplies(this._elements.messages);
+
+      // Add user message if there's text
+      if (text) {
+        messageElement = this._addMessage('user', text);
+        this._recordMessage('user', text, { id: messageElement.dataset.messageId });
+      }
+      
+      // Clear input and files (a separate message leaves what the user is typing alone)
+      if (fromInput) {
+        this._elements.input.value = '';
+        this._elements.input.focus();
+        this._removeAttachedFile();
+      }
+      
+      // Prepare data in n8n webhook format
+      const webhookData = {
+        sessionId: this._config.sessionId,
+        action: 'sendMessage',
+        chatInput: text || '',
+        files: processedFiles,
+        messageId: messageElement.dataset.messageId
+      };
+      if (this._config.uploadMode === 'multipart' && files.length) {
+        binaryAttachments.set(webhookData, files);
+      }
+      if (text && hasFiles) {
+        sentAttachments.set(messageElement, { files: processedFiles, binaries: binaryAttachments.get(webhookData) });
+      }
+      
+      this._dispatch(webhookData, messageElement);
+    },
+
+    /**
+     * Hand webhook data to the custom handler or the API (private)
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {HTMLElement} [messageElement] - User message the request belongs to
+     */
+    _dispatch(webhookData, messageElement = null) {
+      // The reply to a new message should not talk over the previous one
+      this._stopSpeaking();
+      // Only the reply to the latest request can be regenerated
+      this._setLastReply(null);
+
+      if (this._handoff) {
+        // Let the workflow route the message to the agent
+        webhookData.handoff = true;
+      }
+      // Lets the workflow answer in the user's language
+      webhookData.locale = this._locale;
+      if (this._identity) {
+        webhookData.user = this._identity;
+      }
+      // The challenge proof goes with the first message of its session
+      const challenge = this._challenge;
+      if (challenge && !challenge.sent && challenge.sessionId === this._config.sessionId) {
+        webhookData.challenge = challenge.proof;
+        challenge.sent = true;
+      }
+      this._sentTimes.push(Date.now());
+      this._emit('messageSent', { webhookData });
+
+      // Multipart files only reach the handler as File objects, and only the webhook request can carry them
+      const binaries = binaryAttachments.get(webhookData);
+      if (typeof this._onUserRequest === 'function') {
+        this._onUserRequest(webhookData, binaries || []);
+      } else if (!binaries && this._sendToHandoffSocket(webhookData)) {
+        return;
+      } else {
+        this._sendToApi(webhookData, messageElement);
+      }
+    },
+
+    /**
+     * Start or end the handoff as a webhook response asks (private)
+     * @param {Object} data - API response data
+     */
+    _applyHandoff(data) {
+      if (HandoffManager.isHandoffEnded(data)) {
+        this._endHandoff();
+        return;
+      }
+      const handoff = HandoffManager.extractHandoff(data);
+      if (handoff) this._startHandoff(handoff);
+    },
+
+    /**
+     * Start receiving live agent messages (private)
+     * @param {{agent: Object|null, url?: string, transport?: string}} info - Handoff info from the response
+     * @param {Object} [options] - Options ({ restored: resume a handoff from the history without the notice })
+     */
+    _startHandoff(info, options = {}) {
+      const url = info.url || this._config.handoffUrl;
+      if (!url) {
+        this._debug('Handoff requested but no handoffUrl is configured');
+        return;
+      }
+
+      if (this._handoff) {
+        // Already connected; only the agent may have changed
+        if (info.agent) this._handoff.agent = info.agent;
+        return;
+      }
+
+      this._handoff = {
+        url,
+        transport: info.transport || this._config.handoffTransport,
+        agent: info.agent || null,
+        cursor: undefined,
+        socket: null,
+        socketFailures: 0,
+        reconnectTimer: null
+      };
+      // A reload during the handoff picks it up again from the history
+      if (this._history) this._saveHistory();
+
+      if (!options.restored) {
+        const agentName = info.agent && info.agent.name;
+        MessageManager.addSystemMessage(
+          this._elements.messages,
+          agentName ? this._t('agentJoined', { name: agentName }) : this._t('agentConnected')
+        );
+      }
+      this._emit('handoffStart', { agent: this._handoff.agent, restored: Boolean(options.restored) });
+
+      if (this._handoff.transport === 'websocket') {
+        this._connectHandoffSocket(this._handoff);
+      } else {
+        this._pollHandoff(this._handoff);
+      }
+    },
+
+    /**
+     * Stop receiving live agent messages and return to the bot (private)
+     * @param {Object} [options] - Options ({ silent: skip the notice and event })
+     */
+    _endHandoff(options = {}) {
+      const handoff = this._handoff;
+      if (!handoff) return;
+
+      this._handoff = null;
+      clearTimeout(handoff.reconnectTimer);
+      if (handoff.socket) {
+        handoff.socket.close();
+      }
+      // Destroying the widget keeps the stored handoff for the next page load
+      if (this._history && !this._destroyed) this._saveHistory();
+
+      if (!options.silent) {
+        MessageManager.addSystemMessage(this._elements.messages, this._t('agentLeft'));
+        this._emit('handoffEnd', { agent: handoff.agent });
+      }
+    },
+
+    /**
+     * Poll the handoff endpoint until the handoff ends (private)
+     * @param {Object} handoff - Handoff state
+     */
+    async _pollHandoff(handoff) {
+      while (this._handoff === handoff) {
+        try {
+          const url = HandoffManager.buildUrl(handoff.url, this._config.sessionId, { cursor: handoff.cursor });
+          const authHeaders = await this._getAuthHeaders('');
+          // A hung request would stop polling for good
+          const response = await ApiManager.fetchWithTimeout(url, {
+            headers: { Accept: 'application/json', ...authHeaders }
+          }, this._config.requestTimeout);
+          // Fetch a new token for the next poll
+          if (response.status === 401) this._credentials = null;
+          if (response.ok && response.status !== 204 && this._handoff === handoff) {
+            this._handleHandoffPayload(await ApiManager.parseBody(response));
+          }
+        } catch (error) {
+          this._debug('Handoff poll failed:', error);
         }
-        .fcw-resize-s {
-          bottom: -4px;
-          cursor: s-resize;
+
+        if (this._handoff !== handoff) break;
+        await ApiManager.wait(this._config.handoffPollInterval);
+      }
+    },
+
+    /**
+     * Open the handoff WebSocket, reconnecting while the handoff lasts (private)
+     * Browsers cannot set headers on WebSockets, so the auth token goes in a first { type: 'auth', token } message,
+     * or in the `token` query parameter with handoffTokenInUrl.
+     * @param {Object} handoff - Handoff state
+     */
+    async _connectHandoffSocket(handoff) {
+      let token = null;
+      try {
+        const credentials = await this._getCredentials();
+        token = credentials && credentials.token;
+      } catch (error) {
+        this._debug('Failed to get a token for the handoff WebSocket:', error);
+      }
+      if (this._handoff !== handoff) return;
+
+      // Query strings end up in server and proxy access logs, so the URL only carries the token on request
+      const params = token && this._config.handoffTokenInUrl ? { token } : {};
+      let socket;
+      try {
+        socket = new WebSocket(HandoffManager.buildUrl(handoff.url, this._config.sessionId, params, true));
+      } catch (error) {
+        // Invalid URL, blocked by CSP or no WebSocket support: keep the agent reachable by polling
+        this._debug('Handoff WebSocket failed, falling back to polling:', error);
+        this._fallBackToPolling(handoff);
+        return;
+      }
+      handoff.socket = socket;
+      let opened = false;
+
+      socket.addEventListener('open', () => {
+        opened = true;
+        handoff.socketFailures = 0;
+        // Sent before any user message can use the socket
+        if (token && !this._config.handoffTokenInUrl) {
+          socket.send(JSON.stringify({ type: 'auth', token }));
         }
-        
-        .fcw-resize-e, .fcw-resize-w {
-          top: 12px;
-          bottom: 12px;
-          width: 8px;
+      });
+
+      socket.addEventListener('message', (e) => {
+        if (this._handoff !== handoff) return;
+        let data = e.data;
+        try {
+          data = JSON.parse(e.data);
+        } catch (error) {
+          // Plain text agent message
         }
-        .fcw-resize-e {
-          right: -4px;
-          cursor: e-resize;
+        this._handleHandoffPayload(data);
+      });
+
+      socket.addEventListener('close', () => {
+        if (this._handoff !== handoff || handoff.socket !== socket) return;
+        // A refused handshake, server error or proxy block closes the socket before it opens
+        if (!opened && ++handoff.socketFailures >= HandoffManager.MAX_SOCKET_FAILURES) {
+          this._debug(`Handoff WebSocket failed ${handoff.socketFailures} times, falling back to polling`);
+          this._fallBackToPolling(handoff);
+          return;
         }
-        .fcw-resize-w {
-          left: -4px;
-          cursor: w-resize;
+        handoff.reconnectTimer = setTimeout(() => {
+          if (this._handoff === handoff) this._connectHandoffSocket(handoff);
+        }, this._config.handoffPollInterval);
+      });
+    },
+
+    /**
+     * Receive agent messages by polling once the WebSocket cannot connect (private)
+     * @param {Object} handoff - Handoff state
+     */
+    _fallBackToPolling(handoff) {
+      handoff.socket = null;
+      handoff.transport = 'polling';
+      if (this._history) this._saveHistory();
+      this._pollHandoff(handoff);
+    },
+
+    /**
+     * Send user messages over the handoff WebSocket when it is open (private)
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @returns {boolean} Whether the message was sent over the socket
+     */
+    _sendToHandoffSocket(webhookData) {
+      const socket = this._handoff && this._handoff.socket;
+      if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+
+      socket.send(JSON.stringify(webhookData));
+      return true;
+    },
+
+    /**
+     * Render agent messages from a channel payload (private)
+     * @param {Object|Array|string} data - Payload
+     */
+    _handleHandoffPayload(data) {
+      const handoff = this._handoff;
+      const payload = HandoffManager.normalizePayload(data);
+      if (payload.cursor !== undefined) handoff.cursor = payload.cursor;
+
+      for (const event of payload.events) {
+        if (HandoffManager.isEndEvent(event)) {
+          this._endHandoff();
+          return;
         }
-      `;
+
+        const text = HandoffManager.getEventText(event);
+        if (!text) continue;
+
+        if (event.agent) handoff.agent = event.agent;
+        const agent = handoff.agent || null;
+        const messageElement = this._addMessage('bot', text, agent ? { author: agent, speak: true } : { speak: true });
+        this._recordMessage('bot', text, agent ? { id: messageElement.dataset.messageId, agent } : { id: messageElement.dataset.messageId });
+        this._emit('messageReceived', { reply: text, blocks: [], data: event, webhookData: null, agent });
+      }
+
+      if (payload.ended) this._endHandoff();
     },
 
     /**
-     * Lighten a color
-     * @param {string} color - Color code
-     * @param {number} percent - Lighten percent
-     * @returns {string} Lightened color
+     * Keep a message until the connection is back (private)
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {HTMLElement|null} messageElement - User message the request belongs to
      */
-    lightenColor(color, percent) {
-      const num = parseInt(color.replace("#", ""), 16);
-      const amt = Math.round(2.55 * percent);
-      const R = (num >> 16) + amt;
-      const G = (num >> 8 & 0x00FF) + amt;
-      const B = (num & 0x0000FF) + amt;
-      return "#" + (0x1000000 + (R < 255 ? R < 1 ? 0 : R : 255) * 0x10000 +
-        (G < 255 ? G < 1 ? 0 : G : 255) * 0x100 +
-        (B < 255 ? B < 1 ? 0 : B : 255)).toString(16).slice(1);
-    }
-  };
+    _enqueueOffline(webhookData, messageElement) {
+      this._offlineQueue.push({ webhookData, messageElement });
+      if (messageElement) {
+        MessageManager.setMessageState(messageElement, 'queued', { label: this._t('waitingForConnection') });
+      }
+    },
 
-  /**
-   * Message management class
-   */
-  const MessageManager = {
     /**
-     * Add a message
-     * @param {HTMLElement} messagesContainer - Message container
-     * @param {'user'|'bot'} sender - Sender
-     * @param {string} text - Message text
-     * @param {Object} options - Options
+     * Send queued messages in order (private)
      */
-    addMessage(messagesContainer, sender, text, options = {}) {
-      const messageElement = Utils.createElement('div', `fcw-message ${sender}`);
-      const bubbleElement = Utils.createElement('div', 'fcw-bubble-text');
-      
-      if (options.loading) {
-        bubbleElement.innerHTML = '<span class="fcw-loading">●●●</span>';
-      } else if (options.streaming) {
-        bubbleElement.innerHTML = '';
-        messageElement.appendChild(bubbleElement);
-        messagesContainer.appendChild(messageElement);
-        this.scrollToBottom(messagesContainer);
-        this.streamTextToBubble(bubbleElement, text);
-        return;
-      } else {
-        bubbleElement.innerHTML = Utils.formatMarkdown(text);
+    async _flushOfflineQueue() {
+      while (this._offlineQueue.length && !this._destroyed) {
+        const { webhookData, messageElement } = this._offlineQueue.shift();
+        if (messageElement) MessageManager.setMessageState(messageElement, null);
+        await this._sendToApi(webhookData, messageElement);
       }
-      
-      messageElement.appendChild(bubbleElement);
-      messagesContainer.appendChild(messageElement);
-      this.scrollToBottom(messagesContainer);
     },
 
     /**
-     * Stream text to bubble (typing animation)
-     * @param {HTMLElement} bubble - Bubble element
-     * @param {string} text - Text to display
+     * Mark a user message as failed with a retry control (private)
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {HTMLElement} messageElement - User message the request belongs to
      */
-    streamTextToBubble(bubble, text) {
-      let index = 0;
-      const formatted = Utils.formatMarkdown(text);
-      const tempDiv = Utils.createElement('div', '', formatted);
-      const plainText = tempDiv.textContent || tempDiv.innerText || '';
-      
-      const typeText = () => {
-        if (index <= plainText.length) {
-          bubble.textContent = plainText.slice(0, index);
-          index++;
-          setTimeout(typeText, FloatingChatWidget._config.typingSpeed);
-        } else {
-          bubble.innerHTML = formatted;
+    _markFailed(webhookData, messageElement) {
+      MessageManager.setMessageState(messageElement, 'failed', {
+        label: this._t('sendFailed'),
+        onRetry: () => {
+          // Retrying counts as sending: it waits for the pending reply and the rate limit like a new message
+          if (this._isWaiting() || !this._checkRateLimit()) return;
+          MessageManager.setMessageState(messageElement, null);
+          this._sentTimes.push(Date.now());
+          this._emit('messageSent', { webhookData });
+          this._sendToApi(webhookData, messageElement);
         }
-      };
-      
-      typeText();
+      });
     },
 
     /**
-     * Scroll message container to bottom
-     * @param {HTMLElement} container - Container element
+     * Check whether the browser reports being offline (private)
+     * @returns {boolean}
      */
-    scrollToBottom(container) {
-      container.scrollTop = container.scrollHeight;
+    _isOffline() {
+      return typeof navigator !== 'undefined' && navigator.onLine === false;
     },
 
     /**
-     * Remove loading message
-     * @param {HTMLElement} messagesContainer - Message container
+     * Add file message to chat (private)
+     * @param {string} sender - Sender type ('user' or 'bot')
+     * @param {Array<{name: string, url?: string, mimeType?: string, size?: number}>} files - Files to show
+     * @param {string} [id] - Message ID (a new one is generated if not specified)
+     * @returns {HTMLElement} Message element
      */
-    removeLoadingMessage(messagesContainer) {
-      const lastMessage = messagesContainer.lastChild;
-      if (lastMessage && lastMessage.querySelector('.fcw-loading')) {
-        messagesContainer.removeChild(lastMessage);
+    _addFileMessage(sender, files, id) {
+      const messageElement = MessageManager.addFileMessage(this._elements.messages, sender, files, {
+        onImageClick: (src, alt) => MessageManager.openLightbox(this._elements.root, src, alt),
+        linkProtocols: this._config.allowedLinkProtocols,
+        fileSizeUnits: this._t('fileSizeUnits')
+      });
+      messageElement.dataset.messageId = id || Utils.generateMessageId();
+      return messageElement;
+    },
+
+    /**
+     * Check whether a message is being sent or answered, or the rate limit cooldown is running (private)
+     * @returns {boolean} True if sending should wait
+     */
+    _isWaiting() {
+      return this._submitting || this._isGenerating() || Date.now() < this._cooldownUntil;
+    },
+
+    /**
+     * Check whether a response is pending or still being typed (private)
+     * @returns {boolean} True if stop() has something to stop
+     */
+    _isGenerating() {
+      return this._inFlight > 0 || this._typing.size > 0;
+    },
+
+    /**
+     * Turn the send button into a stop button while a response is pending, and disable it while waiting otherwise (private)
+     */
+    _updateSendButton() {
+      const sendBtn = this._elements.sendBtn;
+      if (this._destroyed || !sendBtn) return;
+
+      const waiting = this._isWaiting();
+      const generating = this._isGenerating();
+      const label = this._t(generating ? 'stopResponse' : 'send');
+      sendBtn.disabled = waiting && !generating;
+      sendBtn.classList.toggle('fcw-stop-btn', generating);
+      sendBtn.textContent = generating ? '■' : '➤';
+      sendBtn.title = label;
+      sendBtn.setAttribute('aria-label', label);
+      this._elements.form.classList.toggle('fcw-waiting', waiting);
+
+      // A recording could not be sent until the reply arrives (a running one can still be stopped)
+      const micBtn = this._elements.micBtn;
+      if (micBtn && this._voiceMode === 'recording') {
+        micBtn.disabled = waiting && !this._voice;
       }
-    }
-  };
+    },
 
-  /**
-   * Resize management class
-   */
-  const ResizeManager = {
-    isResizing: false,
-    resizeDirection: '',
-    startX: 0,
-    startY: 0,
-    startWidth: 0,
-    startHeight: 0,
-    startLeft: 0,
-    startRight: 0,
-    startTop: 0,
-    startBottom: 0,
-    resizeHandles: [],
+    /**
+     * Enforce maxMessagesPerMinute, starting a cooldown when it is exceeded (private)
+     * @returns {boolean} True if another message may be sent now
+     */
+    _checkRateLimit() {
+      const limit = this._config.maxMessagesPerMinute;
+      if (!limit) return true;
+
+      const now = Date.now();
+      this._sentTimes = this._sentTimes.filter(time => now - time < 60000);
+      if (this._sentTimes.length < limit) return true;
+
+      // Show the notice once per cooldown
+      if (now >= this._cooldownUntil) {
+        const wait = this._sentTimes[0] + 60000 - now;
+        this._cooldownUntil = now + wait;
+        this._showError(this._t('rateLimited', { seconds: Math.ceil(wait / 1000) }));
+        this._updateSendButton();
+        setTimeout(() => this._updateSendButton(), wait);
+      }
+      return false;
+    },
 
     /**
-     * Create resize handles
-     * @param {HTMLElement} widget - Widget element
-     * @param {Object} config - Configuration object
+     * Run the challenge hook once per session before the first message (private)
+     * @returns {Promise<boolean>} True if the message may be sent
      */
-    createResizeHandles(widget, config) {
-      if (!config.resizable) return;
+    async _passChallenge() {
+      if (typeof this._config.challenge !== 'function') return true;
 
-      // Create 8-directional resize handles
-      const handles = [
-        { direction: 'nw', cursor: 'nw-resize' }, // top-left
-        { direction: 'n', cursor: 'n-resize' },   // top
-        { direction: 'ne', cursor: 'ne-resize' }, // top-right
-        { direction: 'e', cursor: 'e-resize' },   // right
-        { direction: 'se', cursor: 'se-resize' }, // bottom-right
-        { direction: 's', cursor: 's-resize' },   // bottom
-        { direction: 'sw', cursor: 'sw-resize' }, // bottom-left
-        { direction: 'w', cursor: 'w-resize' }    // left
-      ];
+      const sessionId = this._config.sessionId;
+      if (this._challenge && this._challenge.sessionId === sessionId) return true;
 
-      handles.forEach(handle => {
-        const handleElement = Utils.createElement('div', `fcw-resize-handle fcw-resize-${handle.direction}`);
-        handleElement.style.cursor = handle.cursor;
-        handleElement.dataset.direction = handle.direction;
-        widget.appendChild(handleElement);
-        this.resizeHandles.push(handleElement);
-      });
+      try {
+        const proof = await this._config.challenge({ sessionId });
+        if (!proof) throw new Error('Challenge was not completed');
+        this._challenge = { sessionId, proof, sent: false };
+        return true;
+      } catch (error) {
+        this._showError(this._t('challengeFailed'));
+        this._emit('error', { error });
+        return false;
+      }
+    },
 
-      // Bind resize events
-      this.bindResizeEvents(widget, config);
+    /**
+     * Show error message (private)
+     * @param {string} message - Error message (plain text)
+     */
+    _showError(message) {
+      const errorElement = Utils.createElement('div', 'fcw-error');
+      errorElement.textContent = message;
+      this._elements.messages.appendChild(errorElement);
+      MessageManager.scrollToBottom(this._elements.messages);
+      
+      // Remove error message after 3 seconds
+      setTimeout(() => {
+        if (errorElement.parentNode) {
+          errorElement.parentNode.removeChild(errorElement);
+        }
+      }, 3000);
     },
 
     /**
-     * Bind resize events
-     * @param {HTMLElement} widget - Widget element
-     * @param {Object} config - Configuration object
+     * Toggle widget open/close (private)
      */
-    bindResizeEvents(widget, config) {
-      this.resizeHandles.forEach(handle => {
-        handle.addEventListener('mousedown', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          this.startResize(e, widget, config, handle.dataset.direction);
-        });
-      });
+    _toggleWidget() {
+      // Inline widgets stay open
+      if (this._config.displayMode === 'inline') return;
 
-      document.addEventListener('mousemove', (e) => {
-        if (this.isResizing) {
-          this.handleResize(e, widget, config);
-        }
-      });
+      this._isOpen = !this._isOpen;
+      
+      if (this._elements.bubble) {
+        this._elements.bubble.setAttribute('aria-expanded', String(this._isOpen));
+      }
 
-      document.addEventListener('mouseup', () => {
-        this.stopResize();
-      });
+      if (this._isOpen) {
+        this._elements.widget.classList.add('open');
+        setTimeout(() => {
+          // The instance may have been destroyed in the meantime
+          if (this._elements.input) this._elements.input.focus();
+        }, this._config.animationDuration + 50);
+        this._emit('open');
+      } else {
+        // Return focus to the bubble instead of losing it with the hidden panel
+        if (this._elements.widget.contains(this._getActiveElement())) {
+          this._elements.bubble.focus();
+        }
+        this._elements.widget.classList.remove('open');
+        this._cancelVoice();
+        this._stopSpeaking();
+        this._emit('close');
+      }
     },
 
     /**
-     * Start resizing
-     * @param {MouseEvent} e - Mouse event
-     * @param {HTMLElement} widget - Widget element
-     * @param {Object} config - Configuration object
-     * @param {string} direction - Resize direction
+     * Send message to API (private)
+     * Requests go out one at a time, so replies show up in the order the messages were sent.
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {HTMLElement} [messageElement] - User message the request belongs to
+     * @returns {Promise<void>} Resolves once the reply (or error) is shown
      */
-    startResize(e, widget, config, direction) {
-      this.isResizing = true;
-      this.resizeDirection = direction;
-      this.startX = e.clientX;
-      this.startY = e.clientY;
-      this.startWidth = widget.offsetWidth;
-      this.startHeight = widget.offsetHeight;
-      
-      // Store initial position
-      const rect = widget.getBoundingClientRect();
-      this.startLeft = rect.left;
-      this.startRight = window.innerWidth - rect.right;
-      this.startTop = rect.top;
-      this.startBottom = window.innerHeight - rect.bottom;
+    _sendToApi(webhookData, messageElement = null) {
+      this._inFlight++;
+      this._updateSendButton();
 
-      document.body.style.cursor = this.getCursorForDirection(direction);
-      document.body.style.userSelect = 'none';
+      const generation = this._generation;
+      const request = this._requestChain.then(() => {
+        // stop() was pressed while this request was queued
+        if (generation !== this._generation) return undefined;
+        return this._requestReply(webhookData, messageElement);
+      });
+      // _requestReply handles its own errors; never let one request break the chain
+      this._requestChain = request.catch(() => {});
+      return request.finally(() => {
+        this._inFlight--;
+        this._updateSendButton();
+      });
     },
 
     /**
-     * Handle resizing
-     * @param {MouseEvent} e - Mouse event
-     * @param {HTMLElement} widget - Widget element
-     * @param {Object} config - Configuration object
+     * Send one request and show its reply (private)
+     * @param {Object} webhookData - Data in n8n webhook format
+     * @param {HTMLElement|null} messageElement - User message the request belongs to
      */
-    handleResize(e, widget, config) {
-      if (!this.isResizing) return;
+    async _requestReply(webhookData, messageElement) {
+      // The webhookData is already in the correct format:
+      // { sessionId, action, chatInput, files } (+ value for postbacks)
+      if (this._destroyed) return;
+      
+      if (this._config.offlineQueue && this._isOffline()) {
+        this._enqueueOffline(webhookData, messageElement);
+        return;
+      }
+      
+      // Show loading message
+      this._addMessage('bot', '', { loading: true });
 
-      const deltaX = e.clientX - this.startX;
-      const deltaY = e.clientY - this.startY;
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      this._abortController = controller;
+      
+      try {
+        const request = await ApiManager.runBeforeSend(this._getHooks('beforeSend'), webhookData, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        });
+        // Hooks may provide their own body (e.g. a signed payload) and headers (e.g. a Headers instance)
+        let requestInit = { ...request.requestInit, headers: ApiManager.normalizeHeaders(request.requestInit.headers) };
+        const binaries = binaryAttachments.get(webhookData);
+        if (requestInit.body === undefined && binaries) {
+          requestInit.body = ApiManager.buildFormData(request.webhookData, binaries);
+          // Let the browser set the multipart boundary
+          delete requestInit.headers['content-type'];
+        } else if (requestInit.body === undefined) {
+          requestInit.body = JSON.stringify(request.webhookData);
+        }
+        if (controller && !requestInit.signal) {
+          requestInit.signal = controller.signal;
+        }
 
-      let newWidth = this.startWidth;
-      let newHeight = this.startHeight;
-      let newLeft = this.startLeft;
-      let newRight = this.startRight;
+        const send = async () => {
+          const authHeaders = await this._getAuthHeaders(requestInit.body);
+          return ApiManager.fetchWithRetry(this._config.apiUrl, {
+            ...requestInit,
+            headers: { ...requestInit.headers, ...ApiManager.normalizeHeaders(authHeaders) }
+          }, {
+            timeout: this._config.requestTimeout,
+            maxRetries: this._config.maxRetries,
+            retryDelay: this._config.retryDelay,
+            maxRetryDelay: this._config.maxRetryDelay
+          });
+        };
 
-      // Handle resizing by direction
-      switch (this.resizeDirection) {
-        case 'nw': // top-left
-          newWidth = this.startWidth - deltaX;
-          newHeight = this.startHeight - deltaY;
-          newLeft = this.startLeft + deltaX;
-          break;
-        case 'n': // top
-          newHeight = this.startHeight - deltaY;
-          break;
-        case 'ne': // top-right
-          newWidth = this.startWidth + deltaX;
-          newHeight = this.startHeight - deltaY;
-          newRight = this.startRight - deltaX;
-          break;
-        case 'e': // right
-          newWidth = this.startWidth + deltaX;
-          newRight = this.startRight - deltaX;
-          break;
-        case 'se': // bottom-right
-          newWidth = this.startWidth + deltaX;
-          newHeight = this.startHeight + deltaY;
-          newRight = this.startRight - deltaX;
-          break;
-        case 's': // bottom
-          newHeight = this.startHeight + deltaY;
-          break;
-        case 'sw': // bottom-left
-          newWidth = this.startWidth - deltaX;
-          newHeight = this.startHeight + deltaY;
-          newLeft = this.startLeft + deltaX;
-          break;
-        case 'w': // left
-          newWidth = this.startWidth - deltaX;
-          newLeft = this.startLeft + deltaX;
-          break;
-      }
+        let response = await send();
+        if (response.status === 401 && this._auth && this._auth.getToken) {
+          // The token expired or was revoked early: get a fresh one and try once more
+          this._credentials = null;
+          response = await send();
+        }
+        
+        if (this._destroyed) return;
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        if (this._config.streaming && response.body && typeof response.body.getReader === 'function') {
+          await this._receiveStream(response, webhookData, controller && controller.signal);
+          return;
+        }
+        
+        const data = await ApiManager.runAfterReceive(
+          this._getHooks('afterReceive'),
+          response,
+          await ApiManager.parseBody(response)
+        );
+        if (this._destroyed) return;
+        
+        // Remove loading message
+        MessageManager.removeLoadingMessage(this._elements.messages);
+        
+        this._showReply(
+          ApiManager.extractReply(data),
+          ApiManager.extractBlocks(data),
+          { data, webhookData },
+          ApiManager.extractFiles(data)
+        );
 
-      // Enforce min/max size
-      newWidth = Math.max(config.minWidth, Math.min(config.maxWidth, newWidth));
-      newHeight = Math.max(config.minHeight, Math.min(config.maxHeight, newHeight));
+        this._applyHandoff(data);
+        
+      } catch (error) {
+        // The widget was destroyed while waiting; there is nothing left to update
+        if (this._destroyed) return;
 
-      // Update widget size
-      widget.style.width = newWidth + 'px';
-      widget.style.height = newHeight + 'px';
+        // Remove loading message
+        MessageManager.removeLoadingMessage(this._elements.messages);
 
-      // Update position
-      const position = config.position === 'bottom-left' ? 'left' : 'right';
-      if (position === 'right') {
-        widget.style.right = newRight + 'px';
-      } else {
-        widget.style.left = newLeft + 'px';
+        if (controller && controller.signal.aborted) {
+          // Stopped by the user
+          MessageManager.addSystemMessage(this._elements.messages, this._t('responseStopped'));
+          this._emit('cancel', { webhookData });
+          return;
+        }
+        
+        // The connection dropped: resend once the browser is back online
+        if (this._config.offlineQueue && this._isOffline()) {
+          this._enqueueOffline(webhookData, messageElement);
+          return;
+        }
+
+        if (messageElement && messageElement.parentNode) {
+          this._markFailed(webhookData, messageElement);
+        } else {
+          this._addMessage('bot', this._t('connectionError'), { actions: false });
+        }
+        this._emit('error', { error, webhookData });
+      } finally {
+        if (this._abortController === controller) this._abortController = null;
       }
     },
 
     /**
-     * Get cursor for direction
-     * @param {string} direction - Resize direction
-     * @returns {string} CSS cursor value
+     * Tell the workflow that the user stopped the pending response (private)
      */
-    getCursorForDirection(direction) {
-      const cursors = {
-        'nw': 'nw-resize',
-        'n': 'n-resize',
-        'ne': 'ne-resize',
-        'e': 'e-resize',
-        'se': 'se-resize',
-        's': 's-resize',
-        'sw': 'sw-resize',
-        'w': 'w-resize'
-      };
-      return cursors[direction] || 'default';
+    _notifyCancel() {
+      return this._postAction({ sessionId: this._config.sessionId, action: 'cancel' });
     },
 
     /**
-     * Stop resizing
+     * POST an action that expects no reply, such as cancel or feedback (private)
+     * Fire and forget: no loading indicator, no reply, failures are only logged in debug mode.
+     * @param {Object} webhookData - Action data ({ sessionId, action, ... })
+     * @param {string} [url] - Endpoint (defaults to apiUrl)
      */
-    stopResize() {
-      if (!this.isResizing) return;
-
-      this.isResizing = false;
-      document.body.style.cursor = '';
-      document.body.style.userSelect = '';
-    }
-  };
+    async _postAction(webhookData, url = this._config.apiUrl) {
+      webhookData.locale = this._locale;
+      if (this._identity) webhookData.user = this._identity;
 
-  /**
-   * API management class
-   */
-  const ApiManager = {
+      try {
+        const request = await ApiManager.runBeforeSend(this._getHooks('beforeSend'), webhookData, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        });
+        const requestInit = { ...request.requestInit, headers: ApiManager.normalizeHeaders(request.requestInit.headers) };
+        if (requestInit.body === undefined) {
+          requestInit.body = JSON.stringify(request.webhookData);
+        }
+        requestInit.headers = {
+          ...requestInit.headers,
+          ...ApiManager.normalizeHeaders(await this._getAuthHeaders(requestInit.body))
+        };
+        // keepalive lets the notification finish even if the page is being closed
+        await fetch(url, { ...requestInit, keepalive: true });
+      } catch (error) {
+        this._debug(`Sending the ${webhookData.action} action failed:`, error);
+      }
+    },
 
     /**
-     * Extract reply from API response
-     * @param {Object} data - API response data
-     * @returns {string} Extracted reply
+     * Get the current credentials, calling getToken() when there are none or they expire soon (private)
+     * Concurrent requests share one getToken() call.
+     * @returns {Promise<Object|null>} Credentials, or null without a getToken()
      */
-    extractReply(data) {
-      if (data && data.reply) return data.reply;
-      if (data && data.output) return data.output;
-      if (data && data.message) return data.message;
-      return '';
-    }
-  };
+    async _getCredentials() {
+      if (!this._auth || typeof this._auth.getToken !== 'function') return null;
+      if (AuthManager.isValid(this._credentials)) return this._credentials;
 
-  /**
-   * FloatingChatWidget main object
-   */
-  const FloatingChatWidget = {
-    _config: {},
-    _elements: {},
-    _isOpen: false,
-    _onUserRequest: null,
+      if (!this._credentialsPending) {
+        const pending = Promise.resolve()
+          .then(() => this._auth.getToken({ sessionId: this._config.sessionId, user: this._identity }))
+          .then(result => {
+            const credentials = AuthManager.normalizeToken(result);
+            if (this._credentialsPending === pending) this._credentials = credentials;
+            return credentials;
+          })
+          .finally(() => {
+            if (this._credentialsPending === pending) this._credentialsPending = null;
+          });
+        this._credentialsPending = pending;
+      }
+      return this._credentialsPending;
+    },
 
     /**
-     * Initialize chat widget
-     * @param {Object} config - User configuration options
+     * Get the authentication headers of a request (private)
+     * @param {*} body - Request body (signed when auth.sign is on)
+     * @returns {Promise<Object>} Headers (empty when auth is off)
      */
-    init(config = {}) {
-      // Wait for DOM if not ready
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => this.init(config));
-        return;
-      }
-      
-      this._config = { ...DEFAULT_CONFIG, ...config };
-      
-      // Auto-generate session ID if not provided
-      if (!this._config.sessionId) {
-        this._config.sessionId = Utils.generateSessionId();
-      }
-      
+    async _getAuthHeaders(body) {
+      if (!this._auth) return {};
+      return AuthManager.buildHeaders(this._auth, await this._getCredentials(), body);
+    },
+
+    /**
+     * Render a streamed reply token by token (private)
+     * @param {Response} response - Fetch response with a readable body
+     * @param {Object} webhookData - Data that was sent
+     * @param {AbortSignal|null} signal - Signal of the request, aborted when the user stops the response
+     */
+    async _receiveStream(response, webhookData, signal) {
+      const messages = this._elements.messages;
+      let bubble = null;
+      let streamed = '';
+      let result;
       try {
-        this._createStyles();
-        this._createWidget();
-        this._bindEvents();
-        
-        // Show welcome message
-        if (this._config.welcomeMessage) {
-          MessageManager.addMessage(
-            this._elements.messages, 
-            'bot', 
-            this._config.welcomeMessage
-          );
+        result = await ApiManager.readStream(response, (token, text) => {
+          if (!bubble) {
+            MessageManager.removeLoadingMessage(messages);
+            bubble = MessageManager.createStreamingMessage(messages, 'bot');
+          }
+          streamed = text;
+          MessageManager.updateStreamingMessage(messages, bubble, text);
+        });
+
+        if (result.data) {
+          // A plain JSON body goes through the afterReceive hooks like a non-streamed response
+          const data = await ApiManager.runAfterReceive(this._getHooks('afterReceive'), response, result.data);
+          result = {
+            text: ApiManager.extractReply(data),
+            blocks: ApiManager.extractBlocks(data),
+            files: ApiManager.extractFiles(data),
+            data,
+            messageId: ApiManager.extractMessageId(data)
+          };
+          streamed = result.text;
         }
       } catch (error) {
-        console.error('[FloatingChatWidget] Initialization error:', error);
+        // Stopped or failed midway: the partial text is not a reply to keep in the history
+        if (bubble && !this._destroyed) {
+          if (signal && signal.aborted) {
+            // The user stopped it; leave what arrived on screen
+            MessageManager.finalizeStreamingMessage(bubble, streamed, this._markdownOptions());
+          } else {
+            // The request is marked failed and retrying it asks for the whole reply again
+            messages.removeChild(bubble.parentNode);
+          }
+        }
+        throw error;
+      }
+      if (this._destroyed) return;
+
+      // A hook may have removed the text that was shown while reading
+      if (bubble && !streamed) {
+        messages.removeChild(bubble.parentNode);
+        bubble = null;
+      }
+
+      const { blocks, files, data } = result;
+      if (!bubble) {
+        // Nothing was streamed; the reply (if any) came as a regular JSON body
+        MessageManager.removeLoadingMessage(messages);
+        this._showReply(result.text, blocks, { data, webhookData }, files);
+      } else {
+        MessageManager.finalizeStreamingMessage(bubble, streamed, this._markdownOptions());
+        const messageElement = bubble.parentNode;
+        // The workflow's ID is not trusted to be unique, so it never replaces the message ID
+        messageElement.dataset.messageId = Utils.generateMessageId();
+        if (result.messageId) messageElement.dataset.remoteId = result.messageId;
+        this._addSpeechControl(messageElement, streamed, true);
+        this._addMessageActions(messageElement, 'bot', streamed);
+        this._setLastReply(messageElement, webhookData);
+        if (this._isOpen) this._announce(streamed);
+        if (files.length) this._addFileMessage('bot', files);
+        if (blocks.length) this._addBlocks(blocks);
+        this._recordMessage('bot', streamed, {
+          id: messageElement.dataset.messageId,
+          ...(result.messageId && { remoteId: result.messageId }),
+          ...this._replyExtra(blocks, files)
+        });
+        this._emit('messageReceived', { reply: streamed, blocks, files, data, webhookData });
+      }
+
+      this._applyHandoff(data);
+    },
+
+    /**
+     * Show a bot reply with its rich blocks and files (private)
+     * @param {string} reply - Reply text
+     * @param {Array<Object>} blocks - Rich response blocks
+     * @param {{data: Object|null, webhookData: Object}} context - Raw response data and the request it answers
+     * @param {Array<Object>} [files] - Files returned with the reply
+     */
+    _showReply(reply, blocks, context, files = []) {
+      if (!reply && !blocks.length && !files.length) {
+        // During a handoff the agent answers over the channel, not in the webhook response
+        const handoffRequested = this._handoff || HandoffManager.extractHandoff(context.data);
+        if (!handoffRequested) this._addMessage('bot', this._t('noReply'), { actions: false });
+        return;
       }
+
+      // The workflow may name its reply, e.g. to match feedback with its own logs
+      const remoteId = ApiManager.extractMessageId(context.data) || undefined;
+      const messageElement = reply ? this._addMessage('bot', reply, { streaming: true, speak: true, remoteId }) : null;
+      if (files.length) this._addFileMessage('bot', files);
+      if (blocks.length) this._addBlocks(blocks);
+      if (messageElement) this._setLastReply(messageElement, context.webhookData);
+      this._recordMessage('bot', reply, {
+        id: messageElement ? messageElement.dataset.messageId : Utils.generateMessageId(),
+        ...(remoteId && { remoteId }),
+        ...this._replyExtra(blocks, files)
+      });
+      this._emit('messageReceived', { reply, blocks, files, ...context });
     },
 
     /**
-     * Set user request callback
-     * @param {function(string):void} callback - Callback function
+     * Build the history data for a bot reply's blocks and files (private)
+     * @param {Array<Object>} blocks - Rich response blocks
+     * @param {Array<Object>} files - Files
+     * @returns {Object|undefined} Extra history entry data
      */
-    onUserRequest(callback) {
-      this._onUserRequest = callback;
+    _replyExtra(blocks, files) {
+      if (!blocks.length && !files.length) return undefined;
+      return {
+        ...(blocks.length && { blocks }),
+        // Data URLs can be large; keep only linkable files in storage
+        ...(files.length && { files: files.filter(file => !file.url.startsWith('data:')) })
+      };
+    }
+  };
+
+  /**
+   * FloatingChatWidget main object
+   * init() and the shortcut methods drive a default instance; create() returns independent instances.
+   */
+  const FloatingChatWidget = {
+    _defaultInstance: null,
+    _onUserRequest: null,
+    _subscriptions: [],
+    _interceptors: [],
+    _identity: undefined,
+
+    /**
+     * Create an independent chat widget instance
+     * @param {Object} config - User configuration options
+     * @returns {Object} Widget instance
+     */
+    create(config = {}) {
+      const instance = Object.create(WidgetInstance);
+      instance._id = `fcw-instance-${++instanceCounter}`;
+      instance._elements = {};
+      instance._attachedFiles = [];
+      instance._eventHandlers = {};
+      instance._interceptors = { beforeSend: [], afterReceive: [] };
+      instance._offlineQueue = [];
+      instance._windowListeners = [];
+      instance._objectUrls = new Map();
+      instance._attachmentsReady = Promise.resolve();
+      instance._requestChain = Promise.resolve();
+      instance._sentTimes = [];
+      instance._typing = new Set();
+      instance.init(config);
+      return instance;
     },
 
     /**
-     * Programmatically send bot reply
-     * @param {string} text - Reply text
+     * Initialize the default chat widget instance
+     * @param {Object} config - User configuration options
+     * @returns {Object} Widget instance
      */
-    reply(text) {
-      if (!Utils.validateMessageLength(text, this._config.maxMessageLength)) {
-        return;
+    init(config = {}) {
+      if (this._defaultInstance) {
+        this._defaultInstance.destroy();
+      }
+
+      this._defaultInstance = this.create(config);
+      if (this._onUserRequest) {
+        this._defaultInstance.onUserRequest(this._onUserRequest);
+      }
+      this._subscriptions.forEach(({ method, event, handler }) => {
+        this._defaultInstance[method](event, handler);
+      });
+      // once() subscriptions made before init only apply to the first instance
+      this._subscriptions = this._subscriptions.filter(entry => entry.method === 'on');
+      this._interceptors.forEach(interceptors => this._defaultInstance.use(interceptors));
+      if (this._identity !== undefined) {
+        this._defaultInstance.identify(this._identity);
       }
-      MessageManager.addMessage(this._elements.messages, 'bot', text);
+      return this._defaultInstance;
     },
 
     /**
-     * Toggle widget open/close
+     * Identify the signed-in user of the default instance (kept across init calls)
+     * @param {{userId?: string, name?: string, email?: string, metadata?: Object}|null} user - Identity, or null to sign out
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    toggle() {
-      this._toggleWidget();
+    identify(user) {
+      this._identity = user;
+      if (this._defaultInstance) {
+        this._defaultInstance.identify(user);
+      }
+      return this;
     },
 
     /**
-     * Open widget
+     * Add a locale pack, or override strings of a bundled one, for all instances created afterwards
+     * @param {string} locale - Locale tag, e.g. 'ja' or 'pt-BR'
+     * @param {Object} messages - Messages by key (see the bundled 'en' pack for the keys)
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    open() {
-      if (!this._isOpen) {
-        this._toggleWidget();
-      }
+    addLocale(locale, messages) {
+      I18nManager.addLocale(locale, messages);
+      return this;
     },
 
     /**
-     * Close widget
+     * Add request interceptors to the default instance (kept across init calls)
+     * @param {{beforeSend?: Function, afterReceive?: Function}} interceptors - Hooks to add
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    close() {
-      if (this._isOpen) {
-        this._toggleWidget();
+    use(interceptors) {
+      this._interceptors.push(interceptors);
+      if (this._defaultInstance) {
+        this._defaultInstance.use(interceptors);
       }
+      return this;
     },
 
     /**
-     * Create widget styles (private)
+     * Subscribe to an event of the default instance (kept across init calls)
+     * @param {string} event - Event name
+     * @param {function(Object):void} handler - Handler
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    _createStyles() {
-      StyleManager.createStyles(this._config);
+    on(event, handler) {
+      return this._subscribe('on', event, handler);
     },
 
     /**
-     * Create widget DOM elements (private)
+     * Subscribe to an event of the default instance for a single call
+     * @param {string} event - Event name
+     * @param {function(Object):void} handler - Handler
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    _createWidget() {
-      // Create bubble element
-      const bubble = Utils.createElement('div', 'fcw-bubble', this._config.bubbleIcon);
-      document.body.appendChild(bubble);
-      
-      // Create widget element
-      const fileButton = this._config.enableFileUpload ? 
-        `<button class="fcw-file-btn" type="button" title="Attach files">
-          <span>📎</span>
-          <input type="file" class="fcw-file-input" accept="${this._config.allowedFileTypes.join(',')}" multiple />
-        </button>` : '';
-
-      const widget = Utils.createElement('div', 'fcw-widget', `
-        <div class="fcw-header">${this._config.title}</div>
-        <div class="fcw-messages"></div>
-        <div class="fcw-file-preview" style="display: none;"></div>
-        <form class="fcw-input-row" autocomplete="off">
-          <input class="fcw-input" type="text" placeholder="${this._config.placeholder}" maxlength="${this._config.maxMessageLength}" />
-          ${fileButton}
-          <button class="fcw-send-btn" type="submit">➤</button>
-        </form>
-      `);
-      
-      document.body.appendChild(widget);
-      
-      // Store element references
-      this._elements = {
-        bubble,
-        widget,
-        messages: widget.querySelector('.fcw-messages'),
-        input: widget.querySelector('.fcw-input'),
-        form: widget.querySelector('.fcw-input-row'),
-        sendBtn: widget.querySelector('.fcw-send-btn'),
-        fileBtn: widget.querySelector('.fcw-file-btn'),
-        fileInput: widget.querySelector('.fcw-file-input'),
-        filePreview: widget.querySelector('.fcw-file-preview'),
-      };
-
-      // Initialize file attachments state (now supports multiple files)
-      this._attachedFiles = [];
-
-      // Create resize handles
-      ResizeManager.createResizeHandles(widget, this._config);
+    once(event, handler) {
+      return this._subscribe('once', event, handler);
     },
 
     /**
-     * Bind DOM events (private)
+     * Unsubscribe from an event of the default instance
+     * @param {string} event - Event name
+     * @param {function(Object):void} [handler] - Handler (all handlers of the event if omitted)
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    _bindEvents() {
-      // Bubble click event
-      this._elements.bubble.addEventListener('click', () => this._toggleWidget());
-      
-      // Form submit event
-      this._elements.form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this._handleFormSubmit();
-      });
-      
-      // Input field key event
-      this._elements.input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-          e.preventDefault();
-          this._handleFormSubmit();
-        }
-      });
-
-      // File upload events (if enabled)
-      if (this._config.enableFileUpload && this._elements.fileInput) {
-        this._elements.fileInput.addEventListener('change', (e) => {
-          this._handleFileSelect(e);
-        });
+    off(event, handler) {
+      this._subscriptions = this._subscriptions.filter(entry =>
+        entry.event !== event || (handler && entry.handler !== handler));
+      if (this._defaultInstance) {
+        this._defaultInstance.off(event, handler);
       }
+      return this;
     },
 
     /**
-     * Handle file selection (private) - supports multiple files
-     * @param {Event} e - File input change event
+     * Remember a subscription and apply it to the default instance (private)
+     * @param {'on'|'once'} method - Subscription method
+     * @param {string} event - Event name
+     * @param {function(Object):void} handler - Handler
+     * @returns {Object} FloatingChatWidget (chainable)
      */
-    _handleFileSelect(e) {
-      const files = Array.from(e.target.files);
-      if (files.length === 0) return;
-
-      // Clear previous files
-      this._attachedFiles = [];
-      
-      // Validate and add each file
-      for (const file of files) {
-        const validation = Utils.validateFile(file, this._config);
-        if (!validation.valid) {
-          this._showError(`${file.name}: ${validation.error}`);
-          continue;
-        }
-        this._attachedFiles.push(file);
+    _subscribe(method, event, handler) {
+      if (method === 'on' || !this._defaultInstance) {
+        this._subscriptions.push({ method, event, handler });
       }
-      
-      // Clear input if no valid files
-      if (this._attachedFiles.length === 0) {
-        e.target.value = '';
-        return;
+      if (this._defaultInstance) {
+        this._defaultInstance[method](event, handler);
       }
-      
-      // Show preview for all valid files
-      this._showFilePreview(this._attachedFiles);
+      return this;
     },
 
     /**
-     * Show file preview (private) - supports multiple files
-     * @param {Array<File>} files - Files to preview
+     * Set user request callback of the default instance
+     * @param {function(Object, Array<File>):void} callback - Callback function
      */
-    _showFilePreview(files) {
-      const preview = this._elements.filePreview;
-      
-      // Create preview HTML for all files
-      let previewHTML = '<div class="fcw-files-container">';
-      files.forEach((file, index) => {
-        previewHTML += `
-          <div class="fcw-file-item" data-index="${index}">
-            <div class="fcw-file-info">
-              <span class="fcw-file-icon">📄</span>
-              <span>${file.name} (${Utils.formatFileSize(file.size)})</span>
-            </div>
-            <button class="fcw-file-remove" data-index="${index}" type="button">✕</button>
-          </div>
-        `;
-      });
-      previewHTML += '</div>';
-      
-      preview.innerHTML = previewHTML;
-      preview.style.display = 'block';
-
-      // Bind remove events for each file
-      const removeButtons = preview.querySelectorAll('.fcw-file-remove');
-      removeButtons.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          const index = parseInt(e.target.dataset.index);
-          this._removeAttachedFile(index);
-        });
-      });
+    onUserRequest(callback) {
+      this._onUserRequest = callback;
+      if (this._defaultInstance) {
+        this._defaultInstance.onUserRequest(callback);
+      }
     },
 
     /**
-     * Remove attached file (private)
-     * @param {number} index - Index of file to remove (if not provided, removes all)
+     * Programmatically send bot reply from the default instance
+     * @param {string} text - Reply text
+     * @param {Array<Object>} [blocks] - Rich response blocks
      */
-    _removeAttachedFile(index = null) {
-      if (index !== null) {
-        // Remove specific file
-        this._attachedFiles.splice(index, 1);
-        
-        // Update preview or hide if no files left
-        if (this._attachedFiles.length > 0) {
-          this._showFilePreview(this._attachedFiles);
-        } else {
-          this._elements.filePreview.style.display = 'none';
-          if (this._elements.fileInput) {
-            this._elements.fileInput.value = '';
-          }
-        }
-      } else {
-        // Remove all files
-        this._attachedFiles = [];
-        this._elements.filePreview.style.display = 'none';
-        if (this._elements.fileInput) {
-          this._elements.fileInput.value = '';
-        }
+    reply(text, blocks, files) {
+      if (this._defaultInstance) {
+        this._defaultInstance.reply(text, blocks, files);
       }
     },
 
     /**
-     * Handle form submit (private) - supports multiple files
+     * Toggle the default instance open/close
      */
-    async _handleFormSubmit() {
-      const text = this._elements.input.value.trim();
-      const hasFiles = this._attachedFiles.length > 0;
-      
-      if (!text && !hasFiles) return;
-      
-      // Validate message length
-      if (text && !Utils.validateMessageLength(text, this._config.maxMessageLength)) {
-        this._showError('Message is too long.');
-        return;
+    toggle() {
+      if (this._defaultInstance) {
+        this._defaultInstance.toggle();
       }
-      
-      // Process files with base64 encoding
-      let processedFiles = [];
-      if (hasFiles) {
-        try {
-          for (const file of this._attachedFiles) {
-            const base64Data = await Utils.fileToBase64(file);
-            const mimeType = file.type || 'application/octet-stream';
-            const fileExtension = file.name.split('.').pop() || '';
-            const fileType = mimeType.split('/')[0] || 'application';
-            
-            processedFiles.push({
-              fileName: file.name,
-              fileSize: `${file.size} bytes`,
-              fileExtension: fileExtension,
-              fileType: fileType,
-              mimeType: mimeType,
-              data: base64Data  // Include base64 data
-            });
-
-            // Show file message in chat
-            this._addFileMessage('user', file.name, Utils.formatFileSize(file.size));
-          }
-        } catch (error) {
-          this._showError('Failed to process files');
-          return;
-        }
+    },
+
+    /**
+     * Stop the pending response of the default instance
+     */
+    stop() {
+      if (this._defaultInstance) {
+        this._defaultInstance.stop();
       }
+    },
 
-      // Add user message if there's text
-      if (text) {
-        MessageManager.addMessage(this._elements.messages, 'user', text);
+    /**
+     * Open the default instance
+     */
+    open() {
+      if (this._defaultInstance) {
+        this._defaultInstance.open();
       }
-      
-      // Clear input and files
-      this._elements.input.value = '';
-      this._elements.input.focus();
-      this._removeAttachedFile();
-      
-      // Prepare data in n8n webhook format
-      const webhookData = {
-        sessionId: this._config.sessionId,
-        action: 'sendMessage',
-        chatInput: text || '',
-        files: processedFiles
-      };
-      
-      // Handle request
-      if (typeof this._onUserRequest === 'function') {
-        this._onUserRequest(webhookData);
-      } else {
-        this._sendToApi(webhookData);
+    },
+
+    /**
+     * Close the default instance
+     */
+    close() {
+      if (this._defaultInstance) {
+        this._defaultInstance.close();
       }
     },
 
     /**
-     * Add file message to chat (private)
-     * @param {string} sender - Sender type ('user' or 'bot')
-     * @param {string} fileName - Name of the file
-     * @param {string} fileSize - Size of the file
+     * Clear the stored history of the default instance
+     * @returns {Promise<void>}
      */
-    _addFileMessage(sender, fileName, fileSize) {
-      const messageElement = Utils.createElement('div', `fcw-message ${sender} file`);
-      const fileMessage = Utils.createElement('div', 'fcw-file-message', 
-        `<span class="fcw-file-icon">📎</span> ${fileName} (${fileSize})`);
-      messageElement.appendChild(fileMessage);
-      this._elements.messages.appendChild(messageElement);
-      MessageManager.scrollToBottom(this._elements.messages);
+    clearHistory() {
+      return this._defaultInstance ? this._defaultInstance.clearHistory() : Promise.resolve();
     },
 
     /**
-     * Show error message (private)
-     * @param {string} message - Error message
+     * Start a new conversation in the default instance
+     * @returns {Promise<void>}
      */
-    _showError(message) {
-      const errorElement = Utils.createElement('div', 'fcw-error', message);
-      this._elements.messages.appendChild(errorElement);
-      MessageManager.scrollToBottom(this._elements.messages);
-      
-      // Remove error message after 3 seconds
-      setTimeout(() => {
-        if (errorElement.parentNode) {
-          errorElement.parentNode.removeChild(errorElement);
-        }
-      }, 3000);
+    newConversation() {
+      return this._defaultInstance ? this._defaultInstance.newConversation() : Promise.resolve();
     },
 
     /**
-     * Toggle widget open/close (private)
+     * Switch the theme of the default instance
+     * @param {string|Object} theme - 'light', 'dark', 'auto' or a theme object ({ preset, ...variables })
      */
-    _toggleWidget() {
-      this._isOpen = !this._isOpen;
-      
-      if (this._isOpen) {
-        this._elements.widget.classList.add('open');
-        setTimeout(() => this._elements.input.focus(), this._config.animationDuration + 50);
-      } else {
-        this._elements.widget.classList.remove('open');
+    setTheme(theme) {
+      if (this._defaultInstance) {
+        this._defaultInstance.setTheme(theme);
       }
     },
 
     /**
-     * Send message to API (private)
-     * @param {Object} webhookData - Data in n8n webhook format
+     * Destroy the default instance
      */
-    async _sendToApi(webhookData) {
-      // The webhookData is already in the correct format:
-      // { sessionId, action, chatInput, files }
-      
-      // Show loading message
-      MessageManager.addMessage(this._elements.messages, 'bot', '', { loading: true });
-      
-      try {
-        const response = await fetch(this._config.apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(webhookData)
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        // Remove loading message
-        MessageManager.removeLoadingMessage(this._elements.messages);
-        
-        const reply = ApiManager.extractReply(data);
-        
-        if (reply) {
-          MessageManager.addMessage(this._elements.messages, 'bot', reply, { streaming: true });
-        } else {
-          MessageManager.addMessage(this._elements.messages, 'bot', 'Sorry, I did not understand.');
-        }
-        
-      } catch (error) {
-        // Remove loading message
-        MessageManager.removeLoadingMessage(this._elements.messages);
-        
-        MessageManager.addMessage(this._elements.messages, 'bot', 'AI agent connection error occurred.');
+    destroy() {
+      if (this._defaultInstance) {
+        this._defaultInstance.destroy();
+        this._defaultInstance = null;
       }
     }
   };